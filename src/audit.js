@@ -0,0 +1,23 @@
+// audit.js
+// Each activity log entry records who did what and the fields it changed, as
+// { field: { from, to } }. Something created only has "to" values, something
+// deleted only "from" values, and fields that stayed the same are left out.
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!same(from, to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+}
+
+module.exports = { diffChanges };
@@ -0,0 +1,33 @@
+// auth.js
+// Registering, logging in and account changes go through an auth provider,
+// picked with AUTH_PROVIDER:
+//   supabase  Supabase Auth, the default; needs SUPABASE_URL and SUPABASE_ANON_KEY
+//   local     accounts kept in the app's own database; password resets need
+//             LOG_RESET_LINKS=true, see localAuth.js
+//
+// Every provider has the same methods:
+//   register({ email, password, name })       resolves { user, session }
+//   login({ email, password })                resolves { user, session }
+//   logout(session)
+//   requestPasswordReset(email, resetUrl)     sends a link to resetUrl?token=...
+//   resetPassword(token, password)
+//   updateProfile(user, session, { name, email, password, currentPassword })
+//                                             resolves { user, session }
+// Users look like Supabase's, { id, email, user_metadata: { name } }, as the
+// rest of the app expects. session is whatever the provider needs to act for
+// the user later, or null.
+
+const AUTH_PROVIDERS = {
+  supabase: () => require('./supabaseAuth').createSupabaseProvider(),
+  local: () => require('./localAuth').createLocalProvider()
+};
+
+function createAuthProvider(name = 'supabase') {
+  const create = AUTH_PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown AUTH_PROVIDER "${name}". Use one of: ${Object.keys(AUTH_PROVIDERS).join(', ')}`);
+  }
+  return create();
+}
+
+module.exports = { AUTH_PROVIDERS, createAuthProvider };
@@ -0,0 +1,150 @@
+// balances.js
+const { toCents, fromCents, splitEvenly } = require('./money');
+
+// Placeholder party used when money has to move in or out of the team fund
+const TEAM_FUND = { user_id: null, name: 'Team fund' };
+
+// Work out each member's net position. Contributions go into the team fund, and
+// expenses are paid either out of the fund or by the members listed as payers.
+// A member's net is what they put in or paid minus their share of the spending
+// and anything refunded to them. Whatever is left in the fund belongs to the
+// members, so adjustments to it (bank fees, interest, corrections) are shared
+// equally by the current members. Former members keep their name and whatever
+// they still owe or are owed.
+function calculateBalances({ members, formerMembers = [], contributions, expenses, fundTransactions = [] }) {
+  const balances = new Map();
+
+  const entryFor = (userId) => {
+    if (!balances.has(userId)) {
+      // Participants who have since left the team still count towards the totals
+      balances.set(userId, {
+        user_id: userId,
+        name: null,
+        email: null,
+        former: true,
+        contributed: 0,
+        paid: 0,
+        owed: 0,
+        refunded: 0,
+        adjustments: 0
+      });
+    }
+    return balances.get(userId);
+  };
+
+  members.forEach(member => {
+    Object.assign(entryFor(member.user_id), { name: member.name, email: member.email, former: false });
+  });
+  formerMembers.forEach(member => {
+    Object.assign(entryFor(member.user_id), { name: member.name, email: member.email });
+  });
+
+  let contributedCents = 0;
+  contributions.forEach(contribution => {
+    const cents = toCents(contribution.amount);
+    entryFor(contribution.user_id).contributed += cents;
+    contributedCents += cents;
+  });
+
+  let spentCents = 0;
+  expenses.forEach(expense => {
+    const cents = toCents(expense.amount);
+    const { participants } = expense;
+
+    // Expenses recorded before per-member amounts were stored split equally
+    const shares = participants.every(participant => participant.amount_owed !== null)
+      ? participants.map(participant => toCents(participant.amount_owed))
+      : splitEvenly(cents, participants.length);
+
+    participants.forEach((participant, i) => {
+      entryFor(participant.user_id).owed += shares[i];
+    });
+
+    if (expense.payers.length > 0) {
+      expense.payers.forEach(payer => {
+        entryFor(payer.user_id).paid += toCents(payer.amount);
+      });
+    } else {
+      spentCents += cents;
+    }
+  });
+
+  // Refunds are stored as negative amounts since they leave the fund
+  let refundedCents = 0;
+  let adjustmentCents = 0;
+  fundTransactions.forEach(transaction => {
+    const cents = toCents(transaction.amount);
+    if (transaction.type === 'refund') {
+      entryFor(transaction.user_id).refunded -= cents;
+      refundedCents -= cents;
+    } else {
+      adjustmentCents += cents;
+    }
+  });
+
+  // splitEvenly only hands out positive remainders, so split the size of the
+  // adjustment and apply its sign afterwards
+  const sign = adjustmentCents < 0 ? -1 : 1;
+  splitEvenly(Math.abs(adjustmentCents), members.length).forEach((cents, i) => {
+    entryFor(members[i].user_id).adjustments += sign * cents;
+  });
+
+  return {
+    fund: {
+      contributed: fromCents(contributedCents),
+      spent: fromCents(spentCents),
+      refunded: fromCents(refundedCents),
+      adjustments: fromCents(adjustmentCents),
+      balance: fromCents(contributedCents - spentCents - refundedCents + adjustmentCents)
+    },
+    members: [...balances.values()].map(entry => ({
+      ...entry,
+      contributed: fromCents(entry.contributed),
+      paid: fromCents(entry.paid),
+      owed: fromCents(entry.owed),
+      refunded: fromCents(entry.refunded),
+      adjustments: fromCents(entry.adjustments),
+      net: fromCents(entry.contributed + entry.paid - entry.owed - entry.refunded + entry.adjustments)
+    }))
+  };
+}
+
+// Turn net balances into a short list of transfers that squares everyone up.
+// Largest debtor pays largest creditor until one of them is settled, which
+// needs at most (parties - 1) transfers. The fund's leftover balance is paid
+// back out to members, and an overdrawn fund is topped up by them.
+function calculateSettlements(balances) {
+  const parties = balances.members.map(member => ({
+    party: { user_id: member.user_id, name: member.name },
+    cents: toCents(member.net)
+  }));
+  parties.push({ party: TEAM_FUND, cents: -toCents(balances.fund.balance) });
+
+  const creditors = parties.filter(p => p.cents > 0).sort((a, b) => b.cents - a.cents);
+  const debtors = parties
+    .filter(p => p.cents < 0)
+    .map(p => ({ ...p, cents: -p.cents }))
+    .sort((a, b) => b.cents - a.cents);
+
+  const settlements = [];
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const amount = Math.min(creditors[c].cents, debtors[d].cents);
+
+    settlements.push({
+      from: debtors[d].party,
+      to: creditors[c].party,
+      amount: fromCents(amount)
+    });
+
+    creditors[c].cents -= amount;
+    debtors[d].cents -= amount;
+    if (creditors[c].cents === 0) c++;
+    if (debtors[d].cents === 0) d++;
+  }
+
+  return settlements;
+}
+
+module.exports = { TEAM_FUND, calculateBalances, calculateSettlements };
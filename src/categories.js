@@ -0,0 +1,39 @@
+// categories.js
+// Every team can use the default categories and add its own. Tags are free
+// text. Both are stored lowercase so "Food" and "food" are the same.
+
+const DEFAULT_CATEGORIES = ['food', 'travel', 'equipment', 'venue'];
+
+const MAX_LABEL_LENGTH = 40;
+
+function normalizeLabel(value, kind) {
+  const label = String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!label) {
+    throw new Error(`${kind} names cannot be empty`);
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new Error(`${kind} names can be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (label.includes(',')) {
+    throw new Error(`${kind} names cannot contain commas`);
+  }
+  return label;
+}
+
+function normalizeCategoryName(name) {
+  return normalizeLabel(name, 'Category');
+}
+
+// Accepts a list of tags or a comma separated string; duplicates are dropped
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+
+  const list = typeof tags === 'string' ? tags.split(',').filter(tag => tag.trim()) : tags;
+  if (!Array.isArray(list)) {
+    throw new Error('Tags must be a list');
+  }
+
+  return [...new Set(list.map(tag => normalizeLabel(tag, 'Tag')))];
+}
+
+module.exports = { DEFAULT_CATEGORIES, normalizeCategoryName, normalizeTags };
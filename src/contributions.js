@@ -0,0 +1,154 @@
+// contributions.js
+// Contribution schedules and per-period payment tracking
+const { toCents, fromCents } = require('./money');
+const { parseDate, formatDate, today, addDays, isValidDate } = require('./dates');
+
+const FREQUENCIES = ['once', 'weekly', 'monthly', 'custom'];
+
+// Start of the period that follows the one starting on periodStart, or null
+// when the team only collects once
+function nextPeriodStart(periodStart, schedule) {
+  switch (schedule.frequency) {
+    case 'weekly':
+      return addDays(periodStart, 7);
+    case 'custom':
+      return addDays(periodStart, schedule.intervalDays);
+    case 'monthly': {
+      // Keep to the day of the month the schedule started on, or the last day
+      // of shorter months
+      const anchorDay = parseDate(schedule.startDate).getUTCDate();
+      const current = parseDate(periodStart);
+      const year = current.getUTCFullYear();
+      const month = current.getUTCMonth() + 1;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      return formatDate(new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))));
+    }
+    default:
+      return null;
+  }
+}
+
+// Check a schedule sent by a client and fill in defaults for missing values
+function normalizeSchedule(schedule, current = {}) {
+  const merged = {
+    frequency: schedule.frequency ?? current.frequency ?? 'once',
+    intervalDays: schedule.intervalDays ?? current.intervalDays ?? null,
+    startDate: schedule.startDate ?? current.startDate ?? today(),
+    dueDays: schedule.dueDays ?? current.dueDays ?? 0
+  };
+
+  if (!FREQUENCIES.includes(merged.frequency)) {
+    throw new Error(`Invalid contribution frequency. Use one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (merged.frequency === 'custom') {
+    merged.intervalDays = Number(merged.intervalDays);
+    if (!Number.isInteger(merged.intervalDays) || merged.intervalDays < 1) {
+      throw new Error('Custom contribution cycles need an interval of at least 1 day');
+    }
+  } else {
+    merged.intervalDays = null;
+  }
+
+  if (!isValidDate(merged.startDate)) {
+    throw new Error('Contribution start date must be a valid YYYY-MM-DD date');
+  }
+
+  merged.dueDays = Number(merged.dueDays);
+  if (!Number.isInteger(merged.dueDays) || merged.dueDays < 0) {
+    throw new Error('Days until a contribution is due must be 0 or more');
+  }
+
+  return merged;
+}
+
+// Work out what every member owes and has paid for each contribution period.
+// Members owe for every period that was still running when they joined, and
+// anything unpaid after a period's due date counts as arrears.
+function summarizeContributions({ periods, payments, members, schedule, asOf = today() }) {
+  const ordered = [...periods].sort((a, b) => a.period_start.localeCompare(b.period_start));
+
+  const withEnds = ordered.map((period, i) => {
+    const nextStart = ordered[i + 1]?.period_start ?? nextPeriodStart(period.period_start, schedule);
+    return { ...period, period_end: nextStart ? addDays(nextStart, -1) : null };
+  });
+
+  const current = [...withEnds].reverse().find(period => period.period_start <= asOf) || null;
+  const periodTotals = new Map(withEnds.map(period => [period.id, { expected: 0, collected: 0 }]));
+
+  const memberSummaries = members.map(member => {
+    const joined = (member.joined_at || '').slice(0, 10);
+    const memberPayments = payments.filter(payment => payment.user_id === member.user_id);
+
+    const history = withEnds
+      .filter(period =>
+        !period.period_end
+        || period.period_end >= joined
+        || memberPayments.some(payment => payment.period_id === period.id))
+      .map(period => {
+        const periodPayments = memberPayments.filter(payment => payment.period_id === period.id);
+        const dueCents = toCents(period.amount);
+        const paidCents = periodPayments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+        const outstandingCents = Math.max(dueCents - paidCents, 0);
+
+        const totals = periodTotals.get(period.id);
+        totals.expected += dueCents;
+        totals.collected += paidCents;
+
+        return {
+          period_id: period.id,
+          period_start: period.period_start,
+          period_end: period.period_end,
+          due_date: period.due_date,
+          amount_due: fromCents(dueCents),
+          amount_paid: fromCents(paidCents),
+          outstanding: fromCents(outstandingCents),
+          status: outstandingCents === 0 ? 'paid' : paidCents > 0 ? 'partial' : 'unpaid',
+          overdue: outstandingCents > 0 && period.due_date < asOf,
+          payments: periodPayments.map(payment => ({
+            id: payment.id,
+            amount: payment.amount,
+            note: payment.note,
+            recorded_by: payment.recorded_by,
+            paid_at: payment.paid_at
+          }))
+        };
+      });
+
+    const sumOf = (entries, field) => fromCents(
+      entries.reduce((sum, entry) => sum + toCents(entry[field]), 0)
+    );
+    const currentEntry = current && history.find(entry => entry.period_id === current.id);
+
+    return {
+      ...member,
+      has_paid: Boolean(currentEntry && currentEntry.status === 'paid'),
+      current_outstanding: currentEntry ? currentEntry.outstanding : 0,
+      total_due: sumOf(history, 'amount_due'),
+      total_paid: sumOf(history, 'amount_paid'),
+      arrears: sumOf(history.filter(entry => entry.overdue), 'outstanding'),
+      history
+    };
+  });
+
+  return {
+    currentPeriod: current,
+    periods: withEnds.map(period => {
+      const totals = periodTotals.get(period.id);
+      return {
+        ...period,
+        expected: fromCents(totals.expected),
+        collected: fromCents(totals.collected),
+        outstanding: fromCents(Math.max(totals.expected - totals.collected, 0))
+      };
+    }),
+    members: memberSummaries
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  nextPeriodStart,
+  normalizeSchedule,
+  summarizeContributions
+};
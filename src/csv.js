@@ -0,0 +1,79 @@
+// csv.js
+
+// Quote a value when it contains a delimiter, quote or line break. Text that
+// a spreadsheet would run as a formula is prefixed with a quote mark.
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn rows into CSV text. Each column has a header and either the key to
+// read from a row or a function that returns the value.
+function toCSV(columns, rows) {
+  const lines = [columns.map(column => formatValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatValue(
+      typeof column.value === 'function' ? column.value(row) : row[column.key]
+    )).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into an array of rows, each an array of strings. Handles
+// quoted fields with embedded delimiters, quotes and line breaks, CRLF line
+// endings and a leading byte order mark.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = { toCSV, parseCSV };
@@ -0,0 +1,128 @@
+// currency.js
+// Expenses can be in any currency; everything a team reports is converted
+// to its base currency using exchange rates the team enters itself.
+const { toCents, fromCents, splitEvenly, allocate } = require('./money');
+const { isValidDate } = require('./dates');
+const { parseCSV } = require('./csv');
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Uppercase a currency code and check it looks like an ISO 4217 code
+function normalizeCurrency(code) {
+  const currency = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`"${code}" is not a valid currency code; use a 3-letter code such as USD`);
+  }
+  return currency;
+}
+
+// Build a converter from a team's exchange rates. A rate of 1.1 from EUR to
+// USD means 1 EUR is worth 1.1 USD, and can be used the other way round too.
+// Amounts are converted at the latest rate on or before their date, or the
+// earliest rate after it when none is that old.
+function createConverter(rates, baseCurrency) {
+  const ratesFor = currency => rates
+    .filter(rate =>
+      (rate.from_currency === currency && rate.to_currency === baseCurrency)
+      || (rate.from_currency === baseCurrency && rate.to_currency === currency))
+    .map(rate => ({
+      date: rate.effective_date,
+      rate: rate.from_currency === currency ? Number(rate.rate) : 1 / Number(rate.rate)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const hasRate = currency => !currency || currency === baseCurrency || ratesFor(currency).length > 0;
+
+  const rateOn = (currency, date) => {
+    if (!currency || currency === baseCurrency) return 1;
+
+    const available = ratesFor(currency);
+    if (available.length === 0) {
+      throw new Error(`No exchange rate from ${currency} to ${baseCurrency}; add one to the team's exchange rates`);
+    }
+
+    const before = available.filter(rate => !date || rate.date <= date);
+    return (before.length > 0 ? before[before.length - 1] : available[0]).rate;
+  };
+
+  // Convert a total and the parts it is made of, keeping the converted parts
+  // summing to the converted total
+  const convertParts = (totalCents, parts, currency, date) => {
+    const rate = rateOn(currency, date);
+    if (rate === 1) return { totalCents, parts };
+
+    const convertedTotal = Math.round(totalCents * rate);
+    return { totalCents: convertedTotal, parts: allocate(convertedTotal, parts) };
+  };
+
+  return {
+    baseCurrency,
+    hasRate,
+    rateOn,
+    toBase: (amount, currency, date) => fromCents(Math.round(toCents(amount) * rateOn(currency, date))),
+
+    // An expense in the shape calculateBalances expects, converted to the base
+    // currency. Expenses recorded before per-member amounts were stored split
+    // equally.
+    convertExpense(expense, date) {
+      const cents = toCents(expense.amount);
+      const owed = expense.participants.every(participant => participant.amount_owed !== null)
+        ? expense.participants.map(participant => toCents(participant.amount_owed))
+        : splitEvenly(cents, expense.participants.length);
+
+      const shares = convertParts(cents, owed, expense.currency, date);
+      const paid = convertParts(cents, expense.payers.map(payer => toCents(payer.amount)), expense.currency, date);
+
+      return {
+        ...expense,
+        amount: fromCents(shares.totalCents),
+        participants: expense.participants.map((participant, i) => ({
+          ...participant,
+          amount_owed: fromCents(shares.parts[i])
+        })),
+        payers: expense.payers.map((payer, i) => ({ ...payer, amount: fromCents(paid.parts[i]) }))
+      };
+    }
+  };
+}
+
+// Check exchange rates sent by a client, as { from, to, rate, date } entries
+function normalizeRates(rates) {
+  if (!Array.isArray(rates) || rates.length === 0) {
+    throw new Error('Provide at least one exchange rate');
+  }
+
+  return rates.map((entry, i) => {
+    const label = rates.length > 1 ? `Rate ${i + 1}: ` : '';
+    try {
+      const from = normalizeCurrency(entry?.from);
+      const to = normalizeCurrency(entry?.to);
+      const rate = Number(entry.rate);
+
+      if (from === to) throw new Error('Currencies must be different');
+      if (!Number.isFinite(rate) || rate <= 0) throw new Error('Rate must be a number greater than 0');
+      if (!isValidDate(entry.date)) throw new Error('Date must be a valid YYYY-MM-DD date');
+
+      return { from, to, rate, date: entry.date };
+    } catch (error) {
+      throw new Error(label + error.message);
+    }
+  });
+}
+
+// Read exchange rates from CSV with from, to, rate and date columns
+function parseRatesCSV(csv) {
+  const [headers = [], ...rows] = parseCSV(csv || '');
+  const columns = headers.map(header => header.trim().toLowerCase());
+
+  const missing = ['from', 'to', 'rate', 'date'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Exchange rate CSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  return rows
+    .filter(cells => cells.some(cell => cell.trim() !== ''))
+    .map(cells => Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()])));
+}
+
+module.exports = { DEFAULT_CURRENCY, normalizeCurrency, createConverter, normalizeRates, parseRatesCSV };
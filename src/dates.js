@@ -0,0 +1,48 @@
+// dates.js
+// Calendar dates are handled as 'YYYY-MM-DD' strings and all arithmetic is
+// done in UTC so they never shift with the server's timezone.
+
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function today() {
+  return formatDate(new Date());
+}
+
+function addDays(value, days) {
+  const date = parseDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+function isValidDate(value) {
+  return typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && formatDate(parseDate(value)) === value;
+}
+
+// Dates come back from SQLite as 'YYYY-MM-DD', 'YYYY-MM-DD HH:MM:SS' or, for
+// expenses saved from a JavaScript Date, milliseconds since the epoch
+function toDateString(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return formatDate(new Date(value));
+  return String(value).slice(0, 10);
+}
+
+// Check an optional from/to date range sent by a client
+function checkDateRange(from, to) {
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new Error('Dates must be valid YYYY-MM-DD dates');
+  }
+  if (from && to && from > to) {
+    throw new Error('The start date must be on or before the end date');
+  }
+}
+
+module.exports = { parseDate, formatDate, today, addDays, isValidDate, toDateString, checkDateRange };
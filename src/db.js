@@ -1,13 +1,43 @@
 // db.js
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const CryptoJS = require('crypto-js');
 const { v4: uuidv4 } = require('uuid');
+const { calculateBalances, calculateSettlements } = require('./balances');
+const { toCents, fromCents, splitEvenly } = require('./money');
+const { calculateSplit } = require('./splits');
+const { ROLES, hasPermission, canManageRole } = require('./permissions');
+const { today, addDays, isValidDate, toDateString, checkDateRange } = require('./dates');
+const { nextPeriodStart, normalizeSchedule, summarizeContributions } = require('./contributions');
+const { FUND_TRANSACTION_TYPES, buildLedger } = require('./ledger');
+const { parseExpenseCSV } = require('./importer');
+const { DEFAULT_CURRENCY, normalizeCurrency, createConverter, normalizeRates } = require('./currency');
+const { DEFAULT_CATEGORIES, normalizeCategoryName, normalizeTags } = require('./categories');
+const { buildExpenseReport } = require('./reports');
+const { FUND_PAYER, parseExpenseQuery } = require('./search');
+const { diffChanges } = require('./audit');
+const { retentionDays, purgeDate, purgeCutoff } = require('./trash');
+const { normalizeEmail, parseInviteOptions, invitationStatus } = require('./invitations');
+const { checkReceipt, cleanFileName, saveReceiptFile, receiptFilePath, removeReceiptFiles } = require('./receipts');
+const { createStorage, isUniqueViolation } = require('./storage');
+const { migrate } = require('./migrate');
 
-const db = new sqlite3.Database(path.join(__dirname, 'database.sqlite'));
+// SQLite or Postgres, as configured; see storage.js
+const storage = createStorage();
+const { db } = storage;
 
-// Initialize database tables
-db.serialize(() => {
+// Add a column to a table that may predate it. Databases that already have
+// the column reject the ALTER, which is expected.
+function addColumn(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Failed to add ${table}.${column}:`, err.message);
+    }
+  });
+}
+
+// Initialize database tables. This is the baseline schema; changes to it from
+// here on are migrations in src/migrations, applied by migrate.js. Postgres
+// has a schema of its own in postgres.js.
+if (storage.dialect === 'sqlite') db.serialize(() => {
   // Teams table - unchanged
   db.run(`CREATE TABLE IF NOT EXISTS teams (
     id TEXT PRIMARY KEY,
@@ -61,585 +91,2520 @@ db.serialize(() => {
     FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
 )`);
 
+  // Members who fronted the money for an expense and how much each paid.
+  // Expenses without payers were paid out of the team fund.
+  db.run(`CREATE TABLE IF NOT EXISTS expense_payers (
+    expense_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    team_id TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    PRIMARY KEY (expense_id, user_id),
+    FOREIGN KEY (expense_id) REFERENCES team_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // How an expense is divided and what each member owes for it
+  addColumn('team_expenses', 'split_mode', "TEXT NOT NULL DEFAULT 'equal'");
+  addColumn('expense_members', 'split_value', 'DECIMAL(10,4)');
+  addColumn('expense_members', 'amount_owed', 'DECIMAL(10,2)');
+
+  // Member roles; teams created before roles existed are owned by their creator
+  addColumn('team_members', 'role', "TEXT NOT NULL DEFAULT 'member'");
+  db.run(`UPDATE team_members SET role = 'owner'
+          WHERE role != 'owner'
+            AND user_id = (SELECT created_by FROM teams WHERE teams.id = team_members.team_id)`);
+
+  // Contribution schedule: how often dues are collected and how long members have to pay
+  addColumn('teams', 'contribution_frequency', "TEXT NOT NULL DEFAULT 'once'");
+  addColumn('teams', 'contribution_interval_days', 'INTEGER');
+  addColumn('teams', 'contribution_start_date', 'DATE');
+  addColumn('teams', 'contribution_due_days', 'INTEGER NOT NULL DEFAULT 0');
+
+  // One row per collection cycle; amount is what each member owes for it
+  db.run(`CREATE TABLE IF NOT EXISTS contribution_periods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    period_start DATE NOT NULL,
+    due_date DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, period_start),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Payments towards a period; several partial payments can cover one period
+  db.run(`CREATE TABLE IF NOT EXISTS contribution_payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    period_id INTEGER NOT NULL,
+    team_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    note TEXT,
+    recorded_by TEXT,
+    paid_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (period_id) REFERENCES contribution_periods(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Money moved in or out of the team fund other than contributions and
+  // expenses. Amounts are signed: refunds to members are negative, adjustments
+  // can go either way.
+  db.run(`CREATE TABLE IF NOT EXISTS fund_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    description TEXT,
+    user_id TEXT,
+    transaction_date DATE NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Teams that collected before periods existed get a single one-off period,
+  // and the old has_paid flags become payments towards it
+  db.run(`INSERT INTO contribution_periods (team_id, period_start, due_date, amount)
+          SELECT id, date(created_at), date(created_at), contribution_amount
+          FROM teams
+          WHERE contribution_amount > 0
+            AND id NOT IN (SELECT team_id FROM contribution_periods)`);
+  db.run(`UPDATE teams SET contribution_start_date = date(created_at)
+          WHERE contribution_start_date IS NULL AND contribution_amount > 0`);
+  db.run(`INSERT INTO contribution_payments (period_id, team_id, user_id, amount, paid_at)
+          SELECT p.id, tm.team_id, tm.user_id, p.amount, p.period_start
+          FROM team_members tm
+          JOIN contribution_periods p
+            ON p.id = (SELECT MIN(id) FROM contribution_periods WHERE team_id = tm.team_id)
+          WHERE tm.has_paid = 1`);
+  db.run('UPDATE team_members SET has_paid = 0 WHERE has_paid = 1');
+
+  // Every amount is in a currency; teams report in their base currency.
+  // Amounts recorded before currencies existed are in the team's base currency.
+  addColumn('teams', 'base_currency', `TEXT NOT NULL DEFAULT '${DEFAULT_CURRENCY}'`);
+  ['team_expenses', 'contribution_periods', 'contribution_payments', 'fund_transactions'].forEach(table => {
+    addColumn(table, 'currency', 'TEXT');
+    db.run(`UPDATE ${table} SET currency = (SELECT base_currency FROM teams WHERE teams.id = ${table}.team_id)
+            WHERE currency IS NULL`);
+  });
+
+  // Exchange rates entered by the team: 1 unit of from_currency is worth
+  // rate units of to_currency from effective_date onwards
+  db.run(`CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    effective_date DATE NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, from_currency, to_currency, effective_date),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Expense categories and tags. Teams can add categories of their own on top
+  // of the defaults; tags are free text.
+  addColumn('team_expenses', 'category', 'TEXT');
+  db.run(`CREATE TABLE IF NOT EXISTS team_categories (
+    team_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, name),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS expense_tags (
+    expense_id INTEGER NOT NULL,
+    team_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (expense_id, tag),
+    FOREIGN KEY (expense_id) REFERENCES team_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Receipt files are on disk; file_name is the stored name, original_name
+  // the one the file was uploaded with
+  db.run(`CREATE TABLE IF NOT EXISTS expense_receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    expense_id INTEGER NOT NULL,
+    team_id TEXT NOT NULL,
+    file_name TEXT NOT NULL UNIQUE,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploaded_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (expense_id) REFERENCES team_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Deleted expenses and teams stay in the trash until they are purged
+  addColumn('team_expenses', 'deleted_at', 'DATETIME');
+  addColumn('team_expenses', 'deleted_by', 'TEXT');
+  addColumn('teams', 'deleted_at', 'DATETIME');
+  addColumn('teams', 'deleted_by', 'TEXT');
+
+  // Who changed what in a team. Entries outlive the team and the people in
+  // them, so the actor's name is copied in, and they can never be changed.
+  db.run(`CREATE TABLE IF NOT EXISTS activity_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    actor_id TEXT,
+    actor_name TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    changes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS activity_log_team ON activity_log (team_id, id)');
+  db.run(`CREATE TRIGGER IF NOT EXISTS activity_log_no_update BEFORE UPDATE ON activity_log
+    BEGIN SELECT RAISE(ABORT, 'The activity log cannot be changed'); END`);
+  db.run(`CREATE TRIGGER IF NOT EXISTS activity_log_no_delete BEFORE DELETE ON activity_log
+    BEGIN SELECT RAISE(ABORT, 'The activity log cannot be changed'); END`);
+
+  // Invite limits. Existing links keep working as before: no use limit, no
+  // email restriction.
+  addColumn('team_invitations', 'created_by', 'TEXT');
+  addColumn('team_invitations', 'max_uses', 'INTEGER');
+  addColumn('team_invitations', 'use_count', 'INTEGER NOT NULL DEFAULT 0');
+  addColumn('team_invitations', 'email', 'TEXT');
+  addColumn('team_invitations', 'revoked_at', 'DATETIME');
+  addColumn('team_invitations', 'revoked_by', 'TEXT');
+
+  // Who joined through which invite
+  db.run(`CREATE TABLE IF NOT EXISTS invitation_uses (
+    invitation_id TEXT NOT NULL,
+    team_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (invitation_id, user_id),
+    FOREIGN KEY (invitation_id) REFERENCES team_invitations(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+  )`);
+
+  // Teams can have newcomers approved before they join. An invite then
+  // creates a join request that an owner or admin decides on.
+  addColumn('teams', 'requires_approval', 'BOOLEAN NOT NULL DEFAULT 0');
+  db.run(`CREATE TABLE IF NOT EXISTS join_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    invitation_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    decided_by TEXT,
+    decided_at DATETIME,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (invitation_id) REFERENCES team_invitations(id)
+  )`);
+  db.run(`CREATE UNIQUE INDEX IF NOT EXISTS join_requests_pending ON join_requests (team_id, user_id)
+    WHERE status = 'pending'`);
+
+  // Members who leave or are removed stay on as former members, so their
+  // names still show on old expenses and whatever they owe stays on the books
+  addColumn('team_members', 'left_at', 'DATETIME');
+  addColumn('team_members', 'removed_by', 'TEXT');
+
+  // Accounts for the local auth provider (see auth.js). Reset tokens are only
+  // stored hashed.
+  db.run(`CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS password_resets (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+
+  // Enforce foreign keys from here on. The upgrades above fill in tables from
+  // older data, which is left as it is.
+  db.run('PRAGMA foreign_keys = ON');
 });
 
+// Bring the schema up to date before the app uses it: SQLite databases
+// through their migrations, Postgres ones by creating the missing tables
+function prepareDatabase(options) {
+  return storage.dialect === 'sqlite' ? migrate(db, options) : storage.createSchema();
+}
+
+// Everything below queries through the storage, so that transactions cannot
+// interleave; see repository.js
+const { get: dbGet, all: dbAll, run: dbRun, withTransaction } = storage;
+
+// Validate the payers of an expense. When payers are given, their amounts
+// must add up to the expense amount exactly.
+function normalizePayers(payers, amount) {
+  if (!payers) return [];
+  if (!Array.isArray(payers)) {
+    throw new Error('Payers must be a list');
+  }
+
+  const seen = new Set();
+  let totalCents = 0;
+
+  const normalized = payers.map(payer => {
+    const cents = toCents(payer?.amount);
+    if (!payer?.userId || !(cents > 0)) {
+      throw new Error('Each payer needs a userId and an amount greater than 0');
+    }
+    if (seen.has(payer.userId)) {
+      throw new Error('A member can only be listed as a payer once');
+    }
+
+    seen.add(payer.userId);
+    totalCents += cents;
+    return { userId: payer.userId, amount: fromCents(cents) };
+  });
+
+  if (normalized.length > 0 && totalCents !== toCents(amount)) {
+    throw new Error('Payer amounts must add up to the expense amount');
+  }
+
+  return normalized;
+}
+
+// Insert rows into a table in a single statement. Only the table and column
+// names go into the SQL; every value is bound as a parameter.
+async function insertRows(table, columns, rows) {
+  if (rows.length === 0) return;
+
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  await dbRun(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`,
+    rows.flat()
+  );
+}
+
+function insertExpenseMembers(expenseId, teamId, shares) {
+  return insertRows(
+    'expense_members',
+    ['expense_id', 'user_id', 'team_id', 'split_value', 'amount_owed'],
+    shares.map(share => [expenseId, share.userId, teamId, share.value, share.amountOwed])
+  );
+}
+
+function insertExpensePayers(expenseId, teamId, payers) {
+  return insertRows(
+    'expense_payers',
+    ['expense_id', 'user_id', 'team_id', 'amount'],
+    payers.map(payer => [expenseId, payer.userId, teamId, payer.amount])
+  );
+}
+
+function insertExpenseTags(expenseId, teamId, tags) {
+  return insertRows('expense_tags', ['expense_id', 'team_id', 'tag'], tags.map(tag => [expenseId, teamId, tag]));
+}
+
+// Check that everyone splitting or paying for an expense is a current member
+// of the team. Former members can stay on an expense they were already part
+// of. The error lists the ids that are not, also as invalidIds.
+async function checkExpenseMembers(teamId, userIds, expenseId = null) {
+  const ids = [...new Set(userIds.map(String))];
+  const members = await dbAll(
+    `SELECT user_id FROM team_members
+     WHERE team_id = ? AND user_id IN (${ids.map(() => '?').join(', ')})
+       AND (left_at IS NULL
+            OR user_id IN (SELECT user_id FROM expense_members WHERE expense_id = ?
+                           UNION SELECT user_id FROM expense_payers WHERE expense_id = ?))`,
+    [teamId, ...ids, expenseId, expenseId]
+  );
+
+  const found = new Set(members.map(member => member.user_id));
+  const invalidIds = ids.filter(id => !found.has(id));
+  if (invalidIds.length > 0) {
+    const error = new Error(`Not ${invalidIds.length === 1 ? 'a member' : 'members'} of this team: ${invalidIds.join(', ')}`);
+    error.invalidIds = invalidIds;
+    throw error;
+  }
+}
+
+// Tags of the given expenses
+function getExpenseTags(expenseIds) {
+  if (expenseIds.length === 0) return Promise.resolve([]);
+
+  return dbAll(
+    `SELECT expense_id, tag
+     FROM expense_tags
+     WHERE expense_id IN (${expenseIds.map(() => '?').join(', ')})
+     ORDER BY expense_id, tag`,
+    expenseIds
+  );
+}
+
+// Tag names of one expense, from the rows returned by getExpenseTags
+function tagsOf(tags, expenseId) {
+  return tags.filter(tag => tag.expense_id === expenseId).map(tag => tag.tag);
+}
+
+// Add an entry to a team's activity log. before and after are the fields of
+// the record either side of the change, null when it was created or deleted.
+// Updates that changed nothing are not logged.
+async function recordActivity(teamId, actorId, action, { entityType, entityId = null, before = null, after = null, actorName = null }) {
+  const changes = diffChanges(before, after);
+  if (before && after && Object.keys(changes).length === 0) return;
+
+  await dbRun(
+    `INSERT INTO activity_log (team_id, actor_id, actor_name, action, entity_type, entity_id, changes)
+     VALUES (?, ?, COALESCE(?, (SELECT name FROM team_members WHERE team_id = ? AND user_id = ?)), ?, ?, ?, ?)`,
+    [
+      teamId,
+      actorId || null,
+      actorName,
+      teamId,
+      actorId || null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      JSON.stringify(changes)
+    ]
+  );
+}
+
+// The parts of an expense the activity log keeps track of
+async function expenseSnapshot(expenseId) {
+  const expense = await dbGet(
+    'SELECT description, amount, currency, expense_date, split_mode, category FROM team_expenses WHERE id = ?',
+    [expenseId]
+  );
+  if (!expense) return null;
+
+  const [splits, payers, tags] = await Promise.all([
+    getExpenseSplits([expenseId]),
+    getExpensePayers([expenseId]),
+    getExpenseTags([expenseId])
+  ]);
+
+  return {
+    description: expense.description,
+    amount: expense.amount,
+    currency: expense.currency,
+    date: toDateString(expense.expense_date),
+    split_mode: expense.split_mode,
+    category: expense.category,
+    tags: tags.map(tag => tag.tag),
+    participants: splits.map(split => ({ user_id: split.user_id, amount_owed: split.amount_owed })),
+    payers: payers.map(payer => ({ user_id: payer.user_id, amount: payer.amount }))
+  };
+}
+
+// Tables holding a team's data, children before parents, for purging a team.
+// The activity log is left alone; it is kept after the team is gone.
+const TEAM_TABLES = [
+  'expense_members',
+  'expense_payers',
+  'expense_tags',
+  'expense_receipts',
+  'team_expenses',
+  'contribution_payments',
+  'contribution_periods',
+  'fund_transactions',
+  'exchange_rates',
+  'team_categories',
+  'join_requests',
+  'invitation_uses',
+  'team_invitations',
+  'team_members'
+];
+
+// Permanently remove expenses and everything attached to them. Resolves with
+// their receipt files, to be removed once the transaction has committed.
+async function purgeExpenses(expenseIds) {
+  if (expenseIds.length === 0) return [];
+
+  const placeholders = expenseIds.map(() => '?').join(', ');
+  const receipts = await dbAll(`SELECT file_name FROM expense_receipts WHERE expense_id IN (${placeholders})`, expenseIds);
+
+  for (const table of ['expense_members', 'expense_payers', 'expense_tags', 'expense_receipts']) {
+    await dbRun(`DELETE FROM ${table} WHERE expense_id IN (${placeholders})`, expenseIds);
+  }
+  await dbRun(`DELETE FROM team_expenses WHERE id IN (${placeholders})`, expenseIds);
+  return receipts.map(receipt => receipt.file_name);
+}
+
+// Permanently remove a team and everything in it. Resolves with its receipt
+// files, as purgeExpenses does.
+async function purgeTeam(teamId) {
+  const receipts = await dbAll('SELECT file_name FROM expense_receipts WHERE team_id = ?', [teamId]);
+
+  for (const table of TEAM_TABLES) {
+    await dbRun(`DELETE FROM ${table} WHERE team_id = ?`, [teamId]);
+  }
+  await dbRun('DELETE FROM teams WHERE id = ?', [teamId]);
+  return receipts.map(receipt => receipt.file_name);
+}
+
+// Add someone to a team and note which invite brought them in. Former members
+// come back as ordinary members. Does nothing if they are already a member.
+async function addInvitedMember(teamId, invitationId, userId, { name, email }) {
+  const { changes } = await dbRun(
+    `INSERT INTO team_members (team_id, user_id, name, email) VALUES (?, ?, ?, ?)
+     ON CONFLICT (team_id, user_id) DO UPDATE
+       SET name = excluded.name, email = excluded.email, role = 'member',
+           joined_at = CURRENT_TIMESTAMP, left_at = NULL, removed_by = NULL
+       WHERE team_members.left_at IS NOT NULL`,
+    [teamId, userId, name, email]
+  );
+  if (changes === 0) return;
+
+  if (invitationId) {
+    await dbRun(
+      'INSERT INTO invitation_uses (invitation_id, team_id, user_id) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [invitationId, teamId, userId]
+    );
+  }
+  await recordActivity(teamId, userId, 'member.joined', {
+    entityType: 'member',
+    entityId: userId,
+    after: { name, email, invitation: invitationId }
+  });
+}
+
+// A team's contribution settings as the activity log shows them
+function contributionSettings(team) {
+  return {
+    amount: team.contribution_amount,
+    frequency: team.contribution_frequency,
+    interval_days: team.contribution_interval_days,
+    start_date: team.contribution_start_date,
+    due_days: team.contribution_due_days
+  };
+}
+
+// Check a category is one of the defaults or one the team has added
+async function checkCategory(teamId, category) {
+  if (category === undefined || category === null || category === '') return null;
+
+  const name = normalizeCategoryName(category);
+  if (DEFAULT_CATEGORIES.includes(name)) return name;
+
+  const custom = await dbGet('SELECT name FROM team_categories WHERE team_id = ? AND name = ?', [teamId, name]);
+  if (!custom) {
+    throw new Error(`Unknown category "${name}"; add it to the team's categories first`);
+  }
+  return name;
+}
+
+// expense_date holds milliseconds for expenses saved from a JavaScript Date and
+// a date string for older ones; this gives YYYY-MM-DD for either. Postgres
+// stores it as a date.
+const EXPENSE_DAY_SQL = {
+  sqlite: `(CASE WHEN typeof(te.expense_date) IN ('integer', 'real')
+    THEN date(te.expense_date / 1000, 'unixepoch')
+    ELSE substr(te.expense_date, 1, 10) END)`,
+  postgres: "to_char(te.expense_date, 'YYYY-MM-DD')"
+}[storage.dialect];
+
+const EXPENSE_SORT_SQL = {
+  date: EXPENSE_DAY_SQL,
+  amount: 'te.amount',
+  description: 'LOWER(te.description)',
+  created: 'te.id'
+};
+
+// WHERE clause for an expense list filtered as parsed by parseExpenseQuery
+function expenseFilterSQL(teamId, filters) {
+  const conditions = ['te.team_id = ?', 'te.deleted_at IS NULL'];
+  const params = [teamId];
+  const add = (condition, ...values) => {
+    conditions.push(condition);
+    params.push(...values);
+  };
+
+  if (filters.q) add("LOWER(te.description) LIKE LOWER(?) ESCAPE '\\'", `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+  if (filters.from) add(`${EXPENSE_DAY_SQL} >= ?`, filters.from);
+  if (filters.to) add(`${EXPENSE_DAY_SQL} <= ?`, filters.to);
+  if (filters.minAmount !== null) add('te.amount >= ?', filters.minAmount);
+  if (filters.maxAmount !== null) add('te.amount <= ?', filters.maxAmount);
+  if (filters.participant) {
+    add('EXISTS (SELECT 1 FROM expense_members p WHERE p.expense_id = te.id AND p.user_id = ?)', filters.participant);
+  }
+  if (filters.payer === FUND_PAYER) {
+    add('NOT EXISTS (SELECT 1 FROM expense_payers ep WHERE ep.expense_id = te.id)');
+  } else if (filters.payer) {
+    add('EXISTS (SELECT 1 FROM expense_payers ep WHERE ep.expense_id = te.id AND ep.user_id = ?)', filters.payer);
+  }
+  if (filters.category) add('te.category = ?', filters.category);
+  if (filters.tag) add('EXISTS (SELECT 1 FROM expense_tags et WHERE et.expense_id = te.id AND et.tag = ?)', filters.tag);
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// Payers of the given expenses, with their names for display
+function getExpensePayers(expenseIds) {
+  if (expenseIds.length === 0) return Promise.resolve([]);
+
+  return dbAll(
+    `SELECT ep.expense_id, ep.user_id, tm.name, ep.amount
+     FROM expense_payers ep
+     LEFT JOIN team_members tm ON tm.team_id = ep.team_id AND tm.user_id = ep.user_id
+     WHERE ep.expense_id IN (${expenseIds.map(() => '?').join(', ')})
+     ORDER BY ep.expense_id, ep.user_id`,
+    expenseIds
+  );
+}
+
+// What each member owes for the given expenses, with their names from the
+// team's members
+function getExpenseSplits(expenseIds) {
+  if (expenseIds.length === 0) return Promise.resolve([]);
+
+  return dbAll(
+    `SELECT em.expense_id, em.user_id, tm.name, tm.email, em.split_value, em.amount_owed
+     FROM expense_members em
+     LEFT JOIN team_members tm ON tm.team_id = em.team_id AND tm.user_id = em.user_id
+     WHERE em.expense_id IN (${expenseIds.map(() => '?').join(', ')})
+     ORDER BY em.expense_id, em.user_id`,
+    expenseIds
+  );
+}
+
+// The participants of an expense from the rows returned by getExpenseSplits.
+// Expenses recorded before per-member amounts were stored split equally.
+function participantsOf(splits, expense) {
+  const participants = splits
+    .filter(split => split.expense_id === expense.id)
+    .map(({ expense_id, ...split }) => split);
+
+  if (participants.some(participant => participant.amount_owed === null)) {
+    splitEvenly(toCents(expense.amount), participants.length).forEach((cents, i) => {
+      participants[i].amount_owed = fromCents(cents);
+    });
+  }
+  return participants;
+}
+
+// A team row's contribution schedule in the shape used by contributions.js
+function scheduleOf(team) {
+  return {
+    frequency: team.contribution_frequency,
+    intervalDays: team.contribution_interval_days,
+    startDate: team.contribution_start_date,
+    dueDays: team.contribution_due_days
+  };
+}
+
+// Create any contribution periods that have started since the team was last loaded
+async function ensureContributionPeriods(team) {
+  if (!(team.contribution_amount > 0) || !team.contribution_start_date) return;
+
+  const schedule = scheduleOf(team);
+  await withTransaction(async () => {
+    const last = await dbGet(
+      'SELECT period_start FROM contribution_periods WHERE team_id = ? ORDER BY period_start DESC LIMIT 1',
+      [team.id]
+    );
+
+    const now = today();
+    let start = last ? nextPeriodStart(last.period_start, schedule) : schedule.startDate;
+    while (start && start <= now) {
+      await dbRun(
+        `INSERT INTO contribution_periods (team_id, period_start, due_date, amount, currency)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT DO NOTHING`,
+        [team.id, start, addDays(start, schedule.dueDays), team.contribution_amount, team.base_currency]
+      );
+      start = nextPeriodStart(start, schedule);
+    }
+  });
+}
+
+// Converts a team's amounts into its base currency
+async function loadConverter(team) {
+  const rates = await dbAll(
+    'SELECT from_currency, to_currency, rate, effective_date FROM exchange_rates WHERE team_id = ?',
+    [team.id]
+  );
+  return createConverter(rates, team.base_currency);
+}
+
+// Every currency a team has recorded amounts in
+async function currenciesInUse(teamId) {
+  const rows = await dbAll(
+    `SELECT currency FROM team_expenses WHERE team_id = ?
+     UNION SELECT currency FROM contribution_periods WHERE team_id = ?
+     UNION SELECT currency FROM contribution_payments WHERE team_id = ?
+     UNION SELECT currency FROM fund_transactions WHERE team_id = ?`,
+    [teamId, teamId, teamId, teamId]
+  );
+  return rows.map(row => row.currency);
+}
+
+// Normalize an expense's currency, checking the team can convert it so that
+// its balances and totals keep working. No currency means the base currency.
+async function checkExpenseCurrency(teamId, currency) {
+  if (!currency) return null;
+
+  const code = normalizeCurrency(currency);
+  const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+  if (team && !(await loadConverter(team)).hasRate(code)) {
+    throw new Error(`No exchange rate from ${code} to ${team.base_currency}; add one to the team's exchange rates first`);
+  }
+  return code;
+}
+
+// Per-member contribution history for a team, in the team's base currency.
+// Periods and their payments are converted at the rate when the period began.
+async function loadContributionSummary(team, converter) {
+  await ensureContributionPeriods(team);
+  const toBase = converter || await loadConverter(team);
+
+  const periods = (await dbAll(
+    'SELECT id, period_start, due_date, amount, currency FROM contribution_periods WHERE team_id = ?',
+    [team.id]
+  )).map(period => ({ ...period, amount: toBase.toBase(period.amount, period.currency, period.period_start) }));
+  const payments = (await dbAll(
+    `SELECT cp.id, cp.period_id, cp.user_id, cp.amount, cp.currency, cp.note, cp.recorded_by, cp.paid_at,
+            p.period_start
+     FROM contribution_payments cp
+     JOIN contribution_periods p ON p.id = cp.period_id
+     WHERE cp.team_id = ?
+     ORDER BY cp.paid_at, cp.id`,
+    [team.id]
+  )).map(({ currency, period_start, ...payment }) => ({
+    ...payment,
+    amount: toBase.toBase(payment.amount, currency, period_start)
+  }));
+  const members = await dbAll(
+    `SELECT user_id, name, email, role, joined_at
+     FROM team_members
+     WHERE team_id = ? AND left_at IS NULL
+     ORDER BY joined_at ASC`,
+    [team.id]
+  );
+
+  return summarizeContributions({ periods, payments, members, schedule: scheduleOf(team) });
+}
+
 // Team management functions
 const TeamManager = {
   // Create a new team
-  async createTeam(name, userId, userProfile) {
-    return new Promise((resolve, reject) => {
-      const teamId = uuidv4();
-      db.run(
-        'INSERT INTO teams (id, name, created_by) VALUES (?, ?, ?)',
-        [teamId, name, userId],
-        function (err) {
-          if (err) {
-            if (err.message.includes('UNIQUE constraint failed')) {
-              reject(new Error('Team name already exists'));
-            } else {
-              reject(err);
-            }
-            return;
-          }
-
-          // Add creator as team member with profile info
-          db.run(
-            'INSERT INTO team_members (team_id, user_id, name, email) VALUES (?, ?, ?, ?)',
-            [teamId, userId, userProfile.name, userProfile.email],
-            (err) => {
-              if (err) reject(err);
-              else resolve(teamId);
-            }
-          );
-        }
+  async createTeam(name, userId, userProfile, baseCurrency = DEFAULT_CURRENCY) {
+    const currency = normalizeCurrency(baseCurrency);
+    const teamId = uuidv4();
+
+    return withTransaction(async () => {
+      const existing = await dbGet('SELECT deleted_at FROM teams WHERE name = ?', [name]);
+      if (existing) {
+        throw new Error(existing.deleted_at
+          ? 'A deleted team with this name is still in the trash. Restore it or choose another name.'
+          : 'Team name already exists');
+      }
+
+      await dbRun(
+        'INSERT INTO teams (id, name, created_by, base_currency) VALUES (?, ?, ?, ?)',
+        [teamId, name, userId, currency]
+      );
+
+      // Add creator as team owner with profile info
+      await dbRun(
+        "INSERT INTO team_members (team_id, user_id, name, email, role) VALUES (?, ?, ?, ?, 'owner')",
+        [teamId, userId, userProfile.name, userProfile.email]
       );
+
+      await recordActivity(teamId, userId, 'team.created', {
+        entityType: 'team',
+        entityId: teamId,
+        after: { name, base_currency: currency }
+      });
+      return teamId;
     });
   },
 
-  // Generate invitation link
-  async generateInviteLink(teamId, userId) {
-    return new Promise(async (resolve, reject) => {
-      // Verify user is team creator
-      db.get(
-        'SELECT created_by FROM teams WHERE id = ?',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!team || team.created_by !== userId) {
-            reject(new Error('Unauthorized'));
-            return;
-          }
-
-          const inviteId = uuidv4();
-          const token = CryptoJS.SHA256(inviteId + Date.now()).toString();
-          const expiresAt = new Date();
-          expiresAt.setDate(expiresAt.getDate() + 7); // 7 days expiry
-
-          db.run(
-            'INSERT INTO team_invitations (id, team_id, token, expires_at) VALUES (?, ?, ?, ?)',
-            [inviteId, teamId, token, expiresAt.toISOString()],
-            (err) => {
-              if (err) reject(err);
-              else resolve(token);
-            }
-          );
-        }
+  // Copy a user's new name and email to the teams they are in, logging the
+  // change in each
+  async updateMemberProfile(userId, { name, email }) {
+    return withTransaction(async () => {
+      const memberships = await dbAll(
+        'SELECT team_id, name, email FROM team_members WHERE user_id = ? AND left_at IS NULL',
+        [userId]
       );
+      await dbRun(
+        `UPDATE team_members SET name = COALESCE(?, name), email = COALESCE(?, email)
+         WHERE user_id = ? AND left_at IS NULL`,
+        [name || null, email || null, userId]
+      );
+
+      for (const { team_id: teamId, ...before } of memberships) {
+        await recordActivity(teamId, userId, 'member.profile_updated', {
+          entityType: 'member',
+          entityId: userId,
+          before,
+          after: { name: name || before.name, email: email || before.email }
+        });
+      }
+    });
+  },
+
+  // Check that the user's role in the team allows an action.
+  // Resolves with their membership, rejects if they are not allowed.
+  async checkPermission(teamId, userId, permission) {
+    const member = await dbGet(
+      `SELECT tm.user_id, tm.name, tm.role
+       FROM team_members tm
+       JOIN teams t ON t.id = tm.team_id AND t.deleted_at IS NULL
+       WHERE tm.team_id = ? AND tm.user_id = ? AND tm.left_at IS NULL`,
+      [teamId, userId]
+    );
+
+    if (!member || !hasPermission(member.role, permission)) {
+      throw new Error('Unauthorized');
+    }
+
+    return member;
+  },
+
+  // Create an invite link. See invitations.js for the options.
+  async generateInviteLink(teamId, userId, options = {}) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'members:invite');
+
+      const { expiresAt, maxUses, email } = parseInviteOptions(options);
+      const inviteId = uuidv4();
+      const token = CryptoJS.SHA256(inviteId + Date.now()).toString();
+
+      await dbRun(
+        `INSERT INTO team_invitations (id, team_id, token, expires_at, created_by, max_uses, email)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [inviteId, teamId, token, expiresAt, userId, maxUses, email]
+      );
+
+      await recordActivity(teamId, userId, 'invite.created', {
+        entityType: 'invitation',
+        entityId: inviteId,
+        after: { expires_at: expiresAt, max_uses: maxUses, email }
+      });
+      return { id: inviteId, token, expires_at: expiresAt, max_uses: maxUses, email };
     });
   },
 
-  // Join team with invitation
+  // Get a team's invites, newest first, with who joined through each
+  async getTeamInvitations(teamId) {
+    const invitations = await dbAll(
+      `SELECT ti.id, ti.token, ti.created_at, ti.expires_at, ti.created_by, tm.name as created_by_name,
+              ti.max_uses, ti.use_count, ti.email, ti.revoked_at, ti.revoked_by
+       FROM team_invitations ti
+       LEFT JOIN team_members tm ON tm.team_id = ti.team_id AND tm.user_id = ti.created_by
+       WHERE ti.team_id = ?
+       ORDER BY ti.created_at DESC, ti.id`,
+      [teamId]
+    );
+    const uses = await dbAll(
+      `SELECT iu.invitation_id, iu.user_id, tm.name, iu.joined_at
+       FROM invitation_uses iu
+       LEFT JOIN team_members tm ON tm.team_id = iu.team_id AND tm.user_id = iu.user_id
+       WHERE iu.team_id = ?
+       ORDER BY iu.joined_at, iu.user_id`,
+      [teamId]
+    );
+
+    return invitations.map(invitation => ({
+      ...invitation,
+      status: invitationStatus(invitation),
+      joined: uses
+        .filter(use => use.invitation_id === invitation.id)
+        .map(({ invitation_id, ...use }) => use)
+    }));
+  },
+
+  // Stop an invite from being used. Its history is kept.
+  async revokeInvitation(teamId, invitationId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'members:invite');
+
+      const { changes } = await dbRun(
+        `UPDATE team_invitations SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+         WHERE id = ? AND team_id = ? AND revoked_at IS NULL`,
+        [userId, invitationId, teamId]
+      );
+      if (changes === 0) {
+        const invitation = await dbGet('SELECT id FROM team_invitations WHERE id = ? AND team_id = ?', [invitationId, teamId]);
+        throw new Error(invitation ? 'Invitation is already revoked' : 'Invitation not found');
+      }
+
+      await recordActivity(teamId, userId, 'invite.revoked', {
+        entityType: 'invitation',
+        entityId: invitationId,
+        before: { revoked: false },
+        after: { revoked: true }
+      });
+    });
+  },
+
+  // What someone following an invite link sees before accepting it
+  async getInvitationPreview(token) {
+    const invitation = await dbGet(
+      `SELECT ti.team_id, t.name as team_name, tm.name as invited_by, ti.expires_at,
+              ti.max_uses, ti.use_count, ti.email, ti.revoked_at, t.requires_approval
+       FROM team_invitations ti
+       JOIN teams t ON t.id = ti.team_id AND t.deleted_at IS NULL
+       LEFT JOIN team_members tm ON tm.team_id = ti.team_id AND tm.user_id = ti.created_by
+       WHERE ti.token = ?`,
+      [token]
+    );
+    if (!invitation || ['revoked', 'expired'].includes(invitationStatus(invitation))) {
+      throw new Error('Invalid or expired invitation');
+    }
+    if (invitationStatus(invitation) === 'used') {
+      throw new Error('This invitation has already been used');
+    }
+
+    return {
+      team_id: invitation.team_id,
+      team_name: invitation.team_name,
+      invited_by: invitation.invited_by,
+      expires_at: invitation.expires_at,
+      email: invitation.email,
+      requires_approval: Boolean(invitation.requires_approval)
+    };
+  },
+
+  // Join team with invitation. In teams that approve newcomers this creates a
+  // join request instead; resolves { teamId, pending }.
   async joinTeamWithInvite(token, userId, userProfile) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        `SELECT team_id FROM team_invitations 
-         WHERE token = ? AND expires_at > CURRENT_TIMESTAMP`,
-        [token],
-        (err, invitation) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!invitation) {
-            reject(new Error('Invalid or expired invitation'));
-            return;
-          }
-
-          db.run(
-            'INSERT OR IGNORE INTO team_members (team_id, user_id, name, email) VALUES (?, ?, ?, ?)',
-            [invitation.team_id, userId, userProfile.name, userProfile.email],
-            (err) => {
-              if (err) reject(err);
-              else resolve(invitation.team_id);
-            }
-          );
-        }
+    return withTransaction(async () => {
+      const invitation = await dbGet(
+        `SELECT ti.*, t.requires_approval FROM team_invitations ti
+         JOIN teams t ON t.id = ti.team_id AND t.deleted_at IS NULL
+         WHERE ti.token = ?`,
+        [token]
       );
+      if (!invitation || ['revoked', 'expired'].includes(invitationStatus(invitation))) {
+        throw new Error('Invalid or expired invitation');
+      }
+      if (invitation.email && invitation.email !== normalizeEmail(userProfile.email || '')) {
+        throw new Error('This invitation is for a different email address');
+      }
+
+      const teamId = invitation.team_id;
+      const member = await dbGet(
+        'SELECT user_id FROM team_members WHERE team_id = ? AND user_id = ? AND left_at IS NULL',
+        [teamId, userId]
+      );
+      if (member) {
+        return { teamId, pending: false };
+      }
+
+      const pendingRequest = await dbGet(
+        "SELECT id FROM join_requests WHERE team_id = ? AND user_id = ? AND status = 'pending'",
+        [teamId, userId]
+      );
+      if (pendingRequest) {
+        return { teamId, pending: true };
+      }
+
+      const { changes } = await dbRun(
+        `UPDATE team_invitations SET use_count = use_count + 1
+         WHERE id = ? AND (max_uses IS NULL OR use_count < max_uses)`,
+        [invitation.id]
+      );
+      if (changes === 0) {
+        throw new Error('This invitation has already been used');
+      }
+
+      if (invitation.requires_approval) {
+        const { lastID } = await dbRun(
+          'INSERT INTO join_requests (team_id, user_id, name, email, invitation_id) VALUES (?, ?, ?, ?, ?)',
+          [teamId, userId, userProfile.name, userProfile.email, invitation.id]
+        );
+        await recordActivity(teamId, userId, 'join_request.created', {
+          entityType: 'join_request',
+          entityId: lastID,
+          after: { name: userProfile.name, email: userProfile.email },
+          actorName: userProfile.name
+        });
+        return { teamId, pending: true };
+      }
+
+      await addInvitedMember(teamId, invitation.id, userId, userProfile);
+      return { teamId, pending: false };
+    });
+  },
+
+  // Turn approval of newcomers on or off. Requests already waiting stay
+  // pending either way.
+  async setRequiresApproval(teamId, userId, requiresApproval) {
+    return withTransaction(async () => {
+      if (typeof requiresApproval !== 'boolean') {
+        throw new Error('requiresApproval must be true or false');
+      }
+      await this.checkPermission(teamId, userId, 'members:manage');
+
+      const team = await dbGet('SELECT requires_approval FROM teams WHERE id = ?', [teamId]);
+      await dbRun('UPDATE teams SET requires_approval = ? WHERE id = ?', [requiresApproval ? 1 : 0, teamId]);
+
+      await recordActivity(teamId, userId, 'team.approval_changed', {
+        entityType: 'team',
+        entityId: teamId,
+        before: { requires_approval: Boolean(team.requires_approval) },
+        after: { requires_approval: requiresApproval }
+      });
+    });
+  },
+
+  // Get a team's join requests, oldest first. Defaults to the pending ones.
+  async getJoinRequests(teamId, { status = 'pending' } = {}) {
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      throw new Error('Invalid status. Use one of: pending, approved, rejected, all');
+    }
+
+    return dbAll(
+      `SELECT jr.id, jr.user_id, jr.name, jr.email, jr.invitation_id, jr.status, jr.created_at,
+              jr.decided_by, tm.name as decided_by_name, jr.decided_at
+       FROM join_requests jr
+       LEFT JOIN team_members tm ON tm.team_id = jr.team_id AND tm.user_id = jr.decided_by
+       WHERE jr.team_id = ? AND (? = 'all' OR jr.status = ?)
+       ORDER BY jr.created_at, jr.id`,
+      [teamId, status, status]
+    );
+  },
+
+  // Approve or reject a pending join request
+  async decideJoinRequest(teamId, requestId, userId, approve) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'members:manage');
+
+      const request = await dbGet(
+        'SELECT * FROM join_requests WHERE id = ? AND team_id = ?',
+        [requestId, teamId]
+      );
+      if (!request) {
+        throw new Error('Join request not found');
+      }
+
+      const status = approve ? 'approved' : 'rejected';
+      const { changes } = await dbRun(
+        `UPDATE join_requests SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'pending'`,
+        [status, userId, request.id]
+      );
+      if (changes === 0) {
+        throw new Error(`Join request was already ${request.status}`);
+      }
+
+      await recordActivity(teamId, userId, `join_request.${status}`, {
+        entityType: 'join_request',
+        entityId: request.id,
+        before: { status: 'pending' },
+        after: { status }
+      });
+      if (approve) {
+        await addInvitedMember(teamId, request.invitation_id, request.user_id, request);
+      }
     });
   },
 
   // Get user's teams
   async getUserTeams(userId) {
-    return new Promise((resolve, reject) => {
-      db.all(
-        `SELECT t.*, 
-                (t.created_by = ?) as is_creator,
-                COUNT(tm.user_id) as member_count
-         FROM teams t
-         JOIN team_members tm ON t.id = tm.team_id
-         WHERE t.id IN (SELECT team_id FROM team_members WHERE user_id = ?)
-         GROUP BY t.id`,
-        [userId, userId],
-        (err, teams) => {
-          if (err) reject(err);
-          else resolve(teams);
-        }
+    return dbAll(
+      `SELECT t.*,
+              (t.created_by = ?) as is_creator,
+              me.role,
+              COUNT(tm.user_id) as member_count
+       FROM teams t
+       JOIN team_members me ON t.id = me.team_id AND me.user_id = ? AND me.left_at IS NULL
+       JOIN team_members tm ON t.id = tm.team_id AND tm.left_at IS NULL
+       WHERE t.deleted_at IS NULL
+       GROUP BY t.id, me.role`,
+      [userId, userId]
+    );
+  },
+
+  // Move a team to the trash. Everything in it is kept until the trash is
+  // purged, so restoring the team brings back its members and history.
+  async deleteTeam(teamId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'team:delete');
+
+      const team = await dbGet('SELECT name FROM teams WHERE id = ?', [teamId]);
+      await dbRun(
+        'UPDATE teams SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?',
+        [userId, teamId]
       );
+
+      await recordActivity(teamId, userId, 'team.deleted', {
+        entityType: 'team',
+        entityId: teamId,
+        before: { name: team.name }
+      });
     });
   },
 
-  // Delete team
-  async deleteTeam(teamId, userId) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        'SELECT created_by FROM teams WHERE id = ?',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!team || team.created_by !== userId) {
-            reject(new Error('Unauthorized'));
-            return;
-          }
-
-          db.run('BEGIN TRANSACTION');
-
-          // Delete team members
-          db.run('DELETE FROM team_members WHERE team_id = ?', [teamId]);
-
-          // Delete team invitations
-          db.run('DELETE FROM team_invitations WHERE team_id = ?', [teamId]);
-
-          // Delete team
-          db.run('DELETE FROM teams WHERE id = ?', [teamId], (err) => {
-            if (err) {
-              db.run('ROLLBACK');
-              reject(err);
-            } else {
-              db.run('COMMIT');
-              resolve();
-            }
-          });
-        }
+  // Get the teams in the trash that the user could restore
+  async getDeletedTeams(userId) {
+    const days = retentionDays();
+    return dbAll(
+      `SELECT t.id, t.name, t.deleted_at, t.deleted_by, tm.role
+       FROM teams t
+       JOIN team_members tm ON tm.team_id = t.id AND tm.user_id = ? AND tm.left_at IS NULL
+       WHERE t.deleted_at IS NOT NULL
+       ORDER BY t.deleted_at DESC`,
+      [userId]
+    ).then(teams => teams
+      .filter(team => hasPermission(team.role, 'team:delete'))
+      .map(team => ({ ...team, purge_at: purgeDate(team.deleted_at, days) })));
+  },
+
+  // Bring a team back out of the trash
+  async restoreTeam(teamId, userId) {
+    return withTransaction(async () => {
+      const member = await dbGet(
+        `SELECT tm.role, t.name
+         FROM team_members tm
+         JOIN teams t ON t.id = tm.team_id AND t.deleted_at IS NOT NULL
+         WHERE tm.team_id = ? AND tm.user_id = ? AND tm.left_at IS NULL`,
+        [teamId, userId]
       );
+      if (!member || !hasPermission(member.role, 'team:delete')) {
+        throw new Error('Deleted team not found');
+      }
+
+      await dbRun('UPDATE teams SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [teamId]);
+      await recordActivity(teamId, userId, 'team.restored', {
+        entityType: 'team',
+        entityId: teamId,
+        after: { name: member.name }
+      });
     });
   },
-  // Leave team
+
+  // Leave team. Members with money still owed to or by them have to settle up
+  // first; they stay on as former members either way.
   async leaveTeam(teamId, userId) {
-    return new Promise((resolve, reject) => {
-      // First check if user is the creator
-      db.get(
-        'SELECT created_by FROM teams WHERE id = ?',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (team && team.created_by === userId) {
-            reject(new Error('Team creator cannot leave. Please delete the team instead.'));
-            return;
-          }
-
-          // Then check if user is a member
-          db.get(
-            'SELECT * FROM team_members WHERE team_id = ? AND user_id = ?',
-            [teamId, userId],
-            (err, member) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-
-              if (!member) {
-                reject(new Error('You are not a member of this team'));
-                return;
-              }
-
-              // If checks pass, remove the member
-              db.run(
-                'DELETE FROM team_members WHERE team_id = ? AND user_id = ?',
-                [teamId, userId],
-                (err) => {
-                  if (err) {
-                    reject(err);
-                  } else {
-                    resolve();
-                  }
-                }
-              );
-            }
-          );
-        }
+    return withTransaction(async () => {
+      const member = await dbGet(
+        'SELECT * FROM team_members WHERE team_id = ? AND user_id = ? AND left_at IS NULL',
+        [teamId, userId]
       );
+      if (!member) {
+        throw new Error('You are not a member of this team');
+      }
+
+      // The team always needs an owner
+      if (member.role === 'owner') {
+        throw new Error('Team owner cannot leave. Transfer ownership or delete the team instead.');
+      }
+
+      const { currency, members } = await this.getTeamBalances(teamId);
+      const net = members.find(entry => entry.user_id === userId)?.net || 0;
+      if (toCents(net) !== 0) {
+        throw new Error(net > 0
+          ? `The team still owes you ${net.toFixed(2)} ${currency}. Settle up before leaving.`
+          : `You still owe the team ${(-net).toFixed(2)} ${currency}. Settle up before leaving.`);
+      }
+
+      await dbRun(
+        'UPDATE team_members SET left_at = CURRENT_TIMESTAMP WHERE team_id = ? AND user_id = ?',
+        [teamId, userId]
+      );
+
+      await recordActivity(teamId, userId, 'member.left', {
+        entityType: 'member',
+        entityId: userId,
+        before: { name: member.name, role: member.role },
+        actorName: member.name
+      });
     });
   },
 
-  async getTeamDetails(teamId) {
-    return new Promise((resolve, reject) => {
-      // First get the team details
-      db.get(
-        'SELECT t.*, COUNT(tm.user_id) as total_members FROM teams t LEFT JOIN team_members tm ON t.id = tm.team_id WHERE t.id = ? GROUP BY t.id',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!team) {
-            reject(new Error('Team not found'));
-            return;
-          }
-
-          // Get contribution details
-          db.get(
-            `SELECT 
-              SUM(CASE WHEN tm.has_paid = 1 THEN 1 ELSE 0 END) as paid_members,
-              (t.contribution_amount * COUNT(tm.user_id)) as total_amount,
-              (t.contribution_amount * SUM(CASE WHEN tm.has_paid = 1 THEN 1 ELSE 0 END)) as collected_amount
-             FROM teams t
-             LEFT JOIN team_members tm ON t.id = tm.team_id
-             WHERE t.id = ?`,
-            [teamId],
-            (err, contributionDetails) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-
-              // Get all team members with payment status
-              db.all(
-                `SELECT 
-                  user_id, 
-                  name, 
-                  email, 
-                  joined_at,
-                  has_paid 
-                 FROM team_members 
-                 WHERE team_id = ?
-                 ORDER BY joined_at ASC`,
-                [teamId],
-                (err, members) => {
-                  if (err) {
-                    reject(err);
-                    return;
-                  }
-
-                  // Process members to ensure valid profile pictures
-                  const processedMembers = members.map(member => ({
-                    ...member
-                  }));
-
-                  // Combine all the data
-                  resolve({
-                    ...team,
-                    members: processedMembers,
-                    contribution: {
-                      amount: team.contribution_amount || 0,
-                      totalAmount: contributionDetails?.total_amount || 0,
-                      collectedAmount: contributionDetails?.collected_amount || 0,
-                      paidMembers: contributionDetails?.paid_members || 0
-                    }
-                  });
-                }
-              );
-            }
-          );
-        }
+  // Take someone out of the team. Unlike leaving, this works with money still
+  // outstanding: it stays on their balance as a former member until settled
+  // with a refund or their payments. Resolves with that balance.
+  async removeMember(teamId, memberId, userId) {
+    return withTransaction(async () => {
+      const actor = await this.checkPermission(teamId, userId, 'members:manage');
+      if (memberId === userId) {
+        throw new Error('Leave the team instead of removing yourself');
+      }
+
+      const member = await dbGet(
+        'SELECT user_id, name, role FROM team_members WHERE team_id = ? AND user_id = ? AND left_at IS NULL',
+        [teamId, memberId]
+      );
+      if (!member) {
+        throw new Error('Member not found');
+      }
+      if (member.role === 'owner') {
+        throw new Error('The team owner cannot be removed');
+      }
+      if (!canManageRole(actor.role, member.role)) {
+        throw new Error('Unauthorized');
+      }
+
+      await dbRun(
+        'UPDATE team_members SET left_at = CURRENT_TIMESTAMP, removed_by = ? WHERE team_id = ? AND user_id = ?',
+        [userId, teamId, memberId]
       );
+
+      const { currency, members } = await this.getTeamBalances(teamId);
+      const net = members.find(entry => entry.user_id === memberId)?.net || 0;
+
+      await recordActivity(teamId, userId, 'member.removed', {
+        entityType: 'member',
+        entityId: memberId,
+        before: { name: member.name, role: member.role },
+        after: { balance: net }
+      });
+      return { net, currency };
     });
   },
-  // Set contribution amount for team
-  async setContributionAmount(teamId, userId, amount) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        'SELECT created_by FROM teams WHERE id = ?',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!team || team.created_by !== userId) {
-            reject(new Error('Unauthorized: Only team creator can set contribution amount'));
-            return;
-          }
-
-          db.run(
-            'UPDATE teams SET contribution_amount = ? WHERE id = ?',
-            [amount, teamId],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        }
+
+  // Change a member's role. Owners can assign any role below owner; everyone
+  // else can only manage members ranked below them.
+  async updateMemberRole(teamId, memberId, role, userId) {
+    return withTransaction(async () => {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role. Use one of: ${ROLES.join(', ')}`);
+      }
+      if (role === 'owner') {
+        throw new Error('Use an ownership transfer to make someone the team owner');
+      }
+
+      const actor = await this.checkPermission(teamId, userId, 'members:manage');
+
+      const member = await dbGet(
+        'SELECT user_id, role FROM team_members WHERE team_id = ? AND user_id = ? AND left_at IS NULL',
+        [teamId, memberId]
       );
+      if (!member) {
+        throw new Error('Member not found');
+      }
+      if (member.role === 'owner') {
+        throw new Error("The owner's role cannot be changed. Transfer ownership instead.");
+      }
+      if (!canManageRole(actor.role, member.role) || !canManageRole(actor.role, role)) {
+        throw new Error('Unauthorized');
+      }
+
+      await dbRun(
+        'UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?',
+        [role, teamId, memberId]
+      );
+
+      await recordActivity(teamId, userId, 'member.role_changed', {
+        entityType: 'member',
+        entityId: memberId,
+        before: { role: member.role },
+        after: { role }
+      });
     });
   },
 
-  // Update payment status for a team member
+  // Hand the team over to another member. The previous owner stays on as an admin.
+  async transferOwnership(teamId, newOwnerId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'team:transfer');
+
+      if (newOwnerId === userId) {
+        throw new Error('You already own this team');
+      }
+
+      const member = await dbGet(
+        'SELECT user_id FROM team_members WHERE team_id = ? AND user_id = ? AND left_at IS NULL',
+        [teamId, newOwnerId]
+      );
+      if (!member) {
+        throw new Error('Member not found');
+      }
+
+      await dbRun('UPDATE teams SET created_by = ? WHERE id = ?', [newOwnerId, teamId]);
+      await dbRun(
+        "UPDATE team_members SET role = 'admin' WHERE team_id = ? AND user_id = ?",
+        [teamId, userId]
+      );
+      await dbRun(
+        "UPDATE team_members SET role = 'owner' WHERE team_id = ? AND user_id = ?",
+        [teamId, newOwnerId]
+      );
+
+      await recordActivity(teamId, userId, 'team.ownership_transferred', {
+        entityType: 'team',
+        entityId: teamId,
+        before: { owner: userId },
+        after: { owner: newOwnerId }
+      });
+    });
+  },
+
+  async getTeamDetails(teamId) {
+    const team = await dbGet(
+      'SELECT t.*, COUNT(tm.user_id) as total_members FROM teams t LEFT JOIN team_members tm ON t.id = tm.team_id AND tm.left_at IS NULL WHERE t.id = ? GROUP BY t.id',
+      [teamId]
+    );
+    if (!team) {
+      throw new Error('Team not found');
+    }
+
+    const summary = await loadContributionSummary(team);
+    const currentPeriod = summary.periods.find(period => period.id === summary.currentPeriod?.id);
+    const formerMembers = await dbAll(
+      `SELECT user_id, name, email, role, joined_at, left_at, removed_by
+       FROM team_members
+       WHERE team_id = ? AND left_at IS NOT NULL
+       ORDER BY left_at DESC`,
+      [teamId]
+    );
+
+    return {
+      ...team,
+      members: summary.members.map(({ history, ...member }) => member),
+      former_members: formerMembers,
+      contribution: {
+        amount: team.contribution_amount || 0,
+        currency: team.base_currency,
+        totalAmount: currentPeriod?.expected || 0,
+        collectedAmount: currentPeriod?.collected || 0,
+        paidMembers: summary.members.filter(member => member.has_paid).length,
+        currentPeriod: currentPeriod || null
+      }
+    };
+  },
+
+  // Set the contribution amount for team, and optionally how often it is collected.
+  // A new amount also applies to the period that is currently running.
+  async setContributionAmount(teamId, userId, amount, schedule = {}) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'contributions:manage');
+
+      const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+      const next = normalizeSchedule(schedule, scheduleOf(team));
+
+      await dbRun(
+        `UPDATE teams
+         SET contribution_amount = ?,
+             contribution_frequency = ?,
+             contribution_interval_days = ?,
+             contribution_start_date = ?,
+             contribution_due_days = ?
+         WHERE id = ?`,
+        [amount, next.frequency, next.intervalDays, next.startDate, next.dueDays, teamId]
+      );
+
+      await dbRun(
+        `UPDATE contribution_periods SET amount = ?, currency = ?
+         WHERE id = (SELECT id FROM contribution_periods
+                     WHERE team_id = ? AND period_start <= ?
+                     ORDER BY period_start DESC LIMIT 1)`,
+        [amount, team.base_currency, teamId, today()]
+      );
+
+      const updated = {
+        ...team,
+        contribution_amount: amount,
+        contribution_frequency: next.frequency,
+        contribution_interval_days: next.intervalDays,
+        contribution_start_date: next.startDate,
+        contribution_due_days: next.dueDays
+      };
+      await ensureContributionPeriods(updated);
+
+      await recordActivity(teamId, userId, 'contribution.updated', {
+        entityType: 'team',
+        entityId: teamId,
+        before: contributionSettings(team),
+        after: contributionSettings(updated)
+      });
+    });
+  },
+
+  // Mark a member as paid in full, or not paid at all, for the current period
   async updatePaymentStatus(teamId, memberId, hasPaid, userId) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        'SELECT created_by FROM teams WHERE id = ?',
-        [teamId],
-        (err, team) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!team || team.created_by !== userId) {
-            reject(new Error('Unauthorized: Only team creator can update payment status'));
-            return;
-          }
-
-          db.run(
-            'UPDATE team_members SET has_paid = ? WHERE team_id = ? AND user_id = ?',
-            [hasPaid ? 1 : 0, teamId, memberId],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        }
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'contributions:manage');
+
+      const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+      const summary = await loadContributionSummary(team);
+      if (!summary.currentPeriod) {
+        throw new Error('No contribution period has started yet');
+      }
+
+      const member = summary.members.find(m => m.user_id === memberId);
+      if (!member) {
+        throw new Error('Member not found');
+      }
+
+      let changes = 0;
+      if (!hasPaid) {
+        ({ changes } = await dbRun(
+          'DELETE FROM contribution_payments WHERE period_id = ? AND user_id = ?',
+          [summary.currentPeriod.id, memberId]
+        ));
+      } else if (member.current_outstanding > 0) {
+        ({ changes } = await dbRun(
+          `INSERT INTO contribution_payments (period_id, team_id, user_id, amount, currency, recorded_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [summary.currentPeriod.id, teamId, memberId, member.current_outstanding, team.base_currency, userId]
+        ));
+      }
+
+      if (changes > 0) {
+        const after = (await loadContributionSummary(team)).members.find(m => m.user_id === memberId);
+        await recordActivity(teamId, userId, 'payment.status_changed', {
+          entityType: 'member',
+          entityId: memberId,
+          before: { period_id: summary.currentPeriod.id, has_paid: member.has_paid, outstanding: member.current_outstanding },
+          after: { period_id: summary.currentPeriod.id, has_paid: after.has_paid, outstanding: after.current_outstanding }
+        });
+      }
+    });
+  },
+
+  // Record a full or partial payment. Without a period it goes towards the
+  // oldest period the member still owes for.
+  async recordContributionPayment(teamId, memberId, amount, userId, { periodId, note, paidAt } = {}) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'contributions:manage');
+
+      const cents = toCents(amount);
+      if (!(cents > 0)) {
+        throw new Error('Payment amount must be greater than 0');
+      }
+      if (paidAt && !isValidDate(paidAt)) {
+        throw new Error('Payment date must be a valid YYYY-MM-DD date');
+      }
+
+      const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+      const summary = await loadContributionSummary(team);
+
+      const member = summary.members.find(m => m.user_id === memberId);
+      if (!member) {
+        throw new Error('Member not found');
+      }
+
+      const entry = periodId
+        ? member.history.find(item => item.period_id === Number(periodId))
+        : member.history.find(item => item.outstanding > 0);
+      if (!entry) {
+        throw new Error(periodId ? 'Contribution period not found' : 'This member has nothing outstanding');
+      }
+      if (cents > toCents(entry.outstanding)) {
+        throw new Error(`Payment is more than the ${entry.outstanding} still owed for this period`);
+      }
+
+      const { lastID } = await dbRun(
+        `INSERT INTO contribution_payments (period_id, team_id, user_id, amount, currency, note, recorded_by, paid_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+        [entry.period_id, teamId, memberId, fromCents(cents), team.base_currency, note || null, userId, paidAt || null]
       );
+
+      await recordActivity(teamId, userId, 'payment.recorded', {
+        entityType: 'payment',
+        entityId: lastID,
+        after: await dbGet(
+          'SELECT user_id, period_id, amount, currency, note, paid_at FROM contribution_payments WHERE id = ?',
+          [lastID]
+        )
+      });
+      return lastID;
     });
   },
 
-  // Get team contribution details
+  // Remove a payment that was recorded by mistake
+  async deleteContributionPayment(teamId, paymentId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'contributions:manage');
+
+      const payment = await dbGet(
+        'SELECT user_id, period_id, amount, currency, note, paid_at FROM contribution_payments WHERE id = ? AND team_id = ?',
+        [paymentId, teamId]
+      );
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      await dbRun('DELETE FROM contribution_payments WHERE id = ?', [paymentId]);
+      await recordActivity(teamId, userId, 'payment.deleted', {
+        entityType: 'payment',
+        entityId: paymentId,
+        before: payment
+      });
+    });
+  },
+
+  // Get team contribution details: the schedule, every period and each
+  // member's payment history and arrears
   async getTeamContributionDetails(teamId) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        `SELECT t.*, 
-                COUNT(tm.user_id) as total_members,
-                SUM(CASE WHEN tm.has_paid = 1 THEN 1 ELSE 0 END) as paid_members,
-                (t.contribution_amount * COUNT(tm.user_id)) as total_amount,
-                (t.contribution_amount * SUM(CASE WHEN tm.has_paid = 1 THEN 1 ELSE 0 END)) as collected_amount
-         FROM teams t
-         LEFT JOIN team_members tm ON t.id = tm.team_id
-         WHERE t.id = ?
-         GROUP BY t.id`,
-        [teamId],
-        (err, details) => {
-          if (err) reject(err);
-          else resolve(details);
+    const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+
+    const summary = await loadContributionSummary(team);
+    const currentPeriod = summary.periods.find(period => period.id === summary.currentPeriod?.id);
+
+    return {
+      ...team,
+      total_members: summary.members.length,
+      paid_members: summary.members.filter(member => member.has_paid).length,
+      total_amount: currentPeriod?.expected || 0,
+      collected_amount: currentPeriod?.collected || 0,
+      schedule: {
+        frequency: team.contribution_frequency,
+        interval_days: team.contribution_interval_days,
+        start_date: team.contribution_start_date,
+        due_days: team.contribution_due_days
+      },
+      current_period: currentPeriod || null,
+      periods: summary.periods,
+      members: summary.members
+    };
+  },
+
+  // Create a new expense. Splits are member ids for an equal split, or
+  // { userId, value } entries for the exact, percentage and shares modes.
+  // Without a currency the expense is in the team's base currency. Labels are
+  // an optional category and list of tags. Inside a larger transaction, such
+  // as an import, the expense becomes part of it.
+  async createExpense(teamId, description, amount, expenseDate, splits, payers = [], splitMode = 'equal', currency = null, labels = {}, userId = null) {
+    const shares = calculateSplit(splitMode, amount, splits);
+    const expensePayers = normalizePayers(payers, amount);
+    const tags = normalizeTags(labels.tags);
+
+    return withTransaction(async () => {
+      await checkExpenseMembers(teamId, [...shares, ...expensePayers].map(entry => entry.userId));
+      const expenseCurrency = await checkExpenseCurrency(teamId, currency);
+      const category = await checkCategory(teamId, labels.category);
+
+      const { lastID: expenseId } = await dbRun(
+        `INSERT INTO team_expenses (team_id, description, amount, expense_date, split_mode, currency, category)
+         VALUES (?, ?, ?, ?, ?, COALESCE(?, (SELECT base_currency FROM teams WHERE id = ?)), ?)`,
+        [teamId, description, fromCents(toCents(amount)), expenseDate, splitMode, expenseCurrency, teamId, category]
+      );
+      await insertExpenseMembers(expenseId, teamId, shares);
+      await insertExpensePayers(expenseId, teamId, expensePayers);
+      await insertExpenseTags(expenseId, teamId, tags);
+
+      await recordActivity(teamId, userId, 'expense.created', {
+        entityType: 'expense',
+        entityId: expenseId,
+        after: await expenseSnapshot(expenseId)
+      });
+      return expenseId;
+    });
+  },
+
+  // Import expenses from a CSV file. Every row is checked first and nothing
+  // is saved unless all of them are valid; a dry run only returns the check.
+  // The rows are then created in a single transaction.
+  async importExpenses(teamId, csv, { format, mapping, dateFormat, dryRun = false } = {}, userId = null) {
+    const members = await dbAll(
+      'SELECT user_id, name, email FROM team_members WHERE team_id = ? AND left_at IS NULL ORDER BY joined_at ASC',
+      [teamId]
+    );
+
+    const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+    const converter = await loadConverter(team);
+
+    const parsed = parseExpenseCSV(csv, members, { format, mapping, dateFormat });
+    const rows = parsed.rows.map(row => {
+      if (!row.expense) return row;
+
+      // Catch split, payer and currency errors now rather than halfway through the import
+      try {
+        calculateSplit(row.expense.splitMode, row.expense.amount, row.expense.splits);
+        normalizePayers(row.expense.payers, row.expense.amount);
+        if (!converter.hasRate(row.expense.currency)) {
+          throw new Error(`No exchange rate from ${row.expense.currency} to ${team.base_currency}`);
         }
+        return row;
+      } catch (error) {
+        return { row: row.row, errors: [error.message] };
+      }
+    });
+
+    const result = {
+      dry_run: Boolean(dryRun),
+      errors: parsed.errors,
+      rows: rows.map(({ row, expense, errors, skipped }) => ({
+        row,
+        status: errors ? 'error' : skipped ? 'skipped' : 'ok',
+        ...(expense && { expense }),
+        ...(errors && { errors }),
+        ...(skipped && { reason: skipped })
+      })),
+      imported: 0
+    };
+
+    const valid = rows.filter(row => row.expense);
+    const invalid = parsed.errors.length > 0 || rows.some(row => row.errors);
+    if (dryRun || invalid || valid.length === 0) {
+      return result;
+    }
+
+    return withTransaction(async () => {
+      const ids = [];
+      for (const { expense } of valid) {
+        ids.push(await this.createExpense(
+          teamId,
+          expense.description,
+          expense.amount,
+          new Date(expense.date),
+          expense.splits,
+          expense.payers,
+          expense.splitMode,
+          expense.currency,
+          {},
+          userId
+        ));
+      }
+      return { ...result, imported: ids.length, expense_ids: ids };
+    });
+  },
+
+  // Update an existing expense. Without a currency it keeps its current one,
+  // and a category or tags left out of labels are kept as they are.
+  async updateExpense(teamId, expenseId, description, amount, expenseDate, splits, payers = [], splitMode = 'equal', currency = null, labels = {}, userId = null) {
+    const shares = calculateSplit(splitMode, amount, splits);
+    const expensePayers = normalizePayers(payers, amount);
+    const changeCategory = labels.category !== undefined;
+    const tags = labels.tags === undefined ? null : normalizeTags(labels.tags);
+
+    await withTransaction(async () => {
+      await checkExpenseMembers(teamId, [...shares, ...expensePayers].map(entry => entry.userId), expenseId);
+      const expenseCurrency = await checkExpenseCurrency(teamId, currency);
+      const category = await checkCategory(teamId, labels.category);
+      const before = await expenseSnapshot(expenseId);
+
+      const { changes } = await dbRun(
+        `UPDATE team_expenses
+         SET description = ?, amount = ?, expense_date = ?, split_mode = ?, currency = COALESCE(?, currency),
+             category = CASE WHEN ? THEN ? ELSE category END
+         WHERE id = ? AND team_id = ? AND deleted_at IS NULL`,
+        [description, fromCents(toCents(amount)), expenseDate, splitMode, expenseCurrency, changeCategory, category, expenseId, teamId]
       );
+      if (changes === 0) {
+        throw new Error('Expense not found');
+      }
+
+      // Replace the members, the payers and, if given, the tags
+      await dbRun('DELETE FROM expense_members WHERE expense_id = ?', [expenseId]);
+      await insertExpenseMembers(expenseId, teamId, shares);
+      await dbRun('DELETE FROM expense_payers WHERE expense_id = ?', [expenseId]);
+      await insertExpensePayers(expenseId, teamId, expensePayers);
+      if (tags !== null) {
+        await dbRun('DELETE FROM expense_tags WHERE expense_id = ?', [expenseId]);
+        await insertExpenseTags(expenseId, teamId, tags);
+      }
+
+      await recordActivity(teamId, userId, 'expense.updated', {
+        entityType: 'expense',
+        entityId: expenseId,
+        before,
+        after: await expenseSnapshot(expenseId)
+      });
     });
   },
 
-  // Create a new expense
-  async createExpense(teamId, description, amount, expenseDate, memberIds) {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        db.run(
-          'INSERT INTO team_expenses (team_id, description, amount, expense_date) VALUES (?, ?, ?, ?)',
-          [teamId, description, amount, expenseDate],
-          function (err) {
-            if (err) {
-              db.run('ROLLBACK');
-              reject(err);
-              return;
-            }
-
-            const expenseId = this.lastID;
-            const memberValues = memberIds.map(userId =>
-              `(${expenseId}, ${userId}, ${teamId})`
-            ).join(',');
-
-            db.run(
-              `INSERT INTO expense_members (expense_id, user_id, team_id) VALUES ${memberValues}`,
-              function (err) {
-                if (err) {
-                  db.run('ROLLBACK');
-                  reject(err);
-                  return;
-                }
-
-                db.run('COMMIT');
-                resolve(expenseId);
-              }
-            );
-          }
-        );
+  // Check that an expense exists and belongs to the team
+  async isTeamExpense(teamId, expenseId) {
+    const expense = await dbGet(
+      'SELECT id FROM team_expenses WHERE id = ? AND team_id = ? AND deleted_at IS NULL',
+      [expenseId, teamId]
+    );
+    return Boolean(expense);
+  },
+
+  // Move an expense to the trash. It stops counting towards balances and
+  // totals, and keeps its receipts until it is purged.
+  async deleteExpense(teamId, expenseId, userId = null) {
+    return withTransaction(async () => {
+      const before = await expenseSnapshot(expenseId);
+
+      const { changes } = await dbRun(
+        `UPDATE team_expenses SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+         WHERE id = ? AND team_id = ? AND deleted_at IS NULL`,
+        [userId, expenseId, teamId]
+      );
+      if (changes === 0) {
+        throw new Error('Expense not found');
+      }
+
+      await recordActivity(teamId, userId, 'expense.deleted', {
+        entityType: 'expense',
+        entityId: expenseId,
+        before
       });
     });
   },
 
-  // Update an existing expense
-  async updateExpense(expenseId, description, amount, expenseDate, memberIds) {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        db.run(
-          'UPDATE team_expenses SET description = ?, amount = ?, expense_date = ? WHERE id = ?',
-          [description, amount, expenseDate, expenseId],
-          function (err) {
-            if (err) {
-              db.run('ROLLBACK');
-              reject(err);
-              return;
-            }
-
-            // Delete existing member associations
-            db.run(
-              'DELETE FROM expense_members WHERE expense_id = ?',
-              [expenseId],
-              function (err) {
-                if (err) {
-                  db.run('ROLLBACK');
-                  reject(err);
-                  return;
-                }
-
-                // Get team_id for the expense
-                db.get(
-                  'SELECT team_id FROM team_expenses WHERE id = ?',
-                  [expenseId],
-                  function (err, row) {
-                    if (err) {
-                      db.run('ROLLBACK');
-                      reject(err);
-                      return;
-                    }
-
-                    // Insert new member associations
-                    const memberValues = memberIds.map(userId =>
-                      `(${expenseId}, ${userId}, ${row.team_id})`
-                    ).join(',');
-
-                    db.run(
-                      `INSERT INTO expense_members (expense_id, user_id, team_id) VALUES ${memberValues}`,
-                      function (err) {
-                        if (err) {
-                          db.run('ROLLBACK');
-                          reject(err);
-                          return;
-                        }
-
-                        db.run('COMMIT');
-                        resolve();
-                      }
-                    );
-                  }
-                );
-              }
-            );
-          }
+  // Get a team's deleted expenses, newest first, with when each will be purged
+  async getTeamTrash(teamId) {
+    const days = retentionDays();
+    const expenses = await dbAll(
+      `SELECT te.id, te.description, te.amount, te.currency, te.expense_date, te.category,
+              te.deleted_at, te.deleted_by, tm.name as deleted_by_name
+       FROM team_expenses te
+       LEFT JOIN team_members tm ON tm.team_id = te.team_id AND tm.user_id = te.deleted_by
+       WHERE te.team_id = ? AND te.deleted_at IS NOT NULL
+       ORDER BY te.deleted_at DESC, te.id DESC`,
+      [teamId]
+    );
+
+    return {
+      retention_days: days,
+      expenses: expenses.map(({ expense_date, ...expense }) => ({
+        ...expense,
+        date: toDateString(expense_date),
+        purge_at: purgeDate(expense.deleted_at, days)
+      }))
+    };
+  },
+
+  // Bring an expense back out of the trash
+  async restoreExpense(teamId, expenseId, userId) {
+    return withTransaction(async () => {
+      const { changes } = await dbRun(
+        `UPDATE team_expenses SET deleted_at = NULL, deleted_by = NULL
+         WHERE id = ? AND team_id = ? AND deleted_at IS NOT NULL`,
+        [expenseId, teamId]
+      );
+      if (changes === 0) {
+        throw new Error('Deleted expense not found');
+      }
+
+      await recordActivity(teamId, userId, 'expense.restored', {
+        entityType: 'expense',
+        entityId: expenseId,
+        after: await expenseSnapshot(expenseId)
+      });
+    });
+  },
+
+  // Permanently remove expenses and teams that have been in the trash for
+  // longer than the retention period
+  async purgeTrash() {
+    const cutoff = purgeCutoff();
+
+    const expenses = await withTransaction(async () => {
+      const rows = await dbAll(
+        `SELECT id, team_id, description, amount, currency FROM team_expenses
+         WHERE deleted_at IS NOT NULL AND deleted_at <= ?`,
+        [cutoff]
+      );
+      const files = await purgeExpenses(rows.map(expense => expense.id));
+      for (const { id, team_id: teamId, ...expense } of rows) {
+        await recordActivity(teamId, null, 'expense.purged', { entityType: 'expense', entityId: id, before: expense });
+      }
+      return { count: rows.length, files };
+    });
+    await removeReceiptFiles(expenses.files);
+
+    const teams = await dbAll(
+      'SELECT id, name FROM teams WHERE deleted_at IS NOT NULL AND deleted_at <= ?',
+      [cutoff]
+    );
+    for (const team of teams) {
+      const files = await withTransaction(async () => {
+        const teamFiles = await purgeTeam(team.id);
+        await recordActivity(team.id, null, 'team.purged', { entityType: 'team', entityId: team.id, before: { name: team.name } });
+        return teamFiles;
+      });
+      await removeReceiptFiles(files);
+    }
+
+    return { expenses: expenses.count, teams: teams.length };
+  },
+
+  // Store an uploaded receipt for an expense. The file is written first and
+  // removed again if it cannot be recorded.
+  async addReceipt(teamId, expenseId, userId, file) {
+    const type = checkReceipt(file);
+    const originalName = cleanFileName(file.originalname, type);
+    const fileName = await saveReceiptFile(file.buffer, type);
+
+    try {
+      return await withTransaction(async () => {
+        const { lastID } = await dbRun(
+          `INSERT INTO expense_receipts (expense_id, team_id, file_name, original_name, mime_type, size, uploaded_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [expenseId, teamId, fileName, originalName, type, file.buffer.length, userId]
+        );
+        await recordActivity(teamId, userId, 'receipt.added', {
+          entityType: 'receipt',
+          entityId: lastID,
+          after: { expense_id: Number(expenseId), original_name: originalName, mime_type: type, size: file.buffer.length }
+        });
+        return dbGet(
+          'SELECT id, original_name, mime_type, size, uploaded_by, created_at FROM expense_receipts WHERE id = ?',
+          [lastID]
         );
       });
+    } catch (error) {
+      await removeReceiptFiles([fileName]);
+      throw error;
+    }
+  },
+
+  // List an expense's receipts, oldest first
+  async getExpenseReceipts(teamId, expenseId) {
+    return dbAll(
+      `SELECT er.id, er.original_name, er.mime_type, er.size, er.uploaded_by, tm.name as uploaded_by_name, er.created_at
+       FROM expense_receipts er
+       LEFT JOIN team_members tm ON tm.team_id = er.team_id AND tm.user_id = er.uploaded_by
+       WHERE er.expense_id = ? AND er.team_id = ?
+       ORDER BY er.created_at, er.id`,
+      [expenseId, teamId]
+    );
+  },
+
+  // Get a receipt with the path of its file, or undefined
+  async getReceipt(teamId, expenseId, receiptId) {
+    const receipt = await dbGet(
+      'SELECT * FROM expense_receipts WHERE id = ? AND expense_id = ? AND team_id = ?',
+      [receiptId, expenseId, teamId]
+    );
+    return receipt && { ...receipt, path: receiptFilePath(receipt.file_name) };
+  },
+
+  // The file is removed once the receipt's row is gone for good
+  async deleteReceipt(teamId, expenseId, receiptId, userId = null) {
+    const receipt = await withTransaction(async () => {
+      const row = await dbGet(
+        'SELECT file_name, original_name, mime_type, size FROM expense_receipts WHERE id = ? AND expense_id = ? AND team_id = ?',
+        [receiptId, expenseId, teamId]
+      );
+      if (!row) {
+        throw new Error('Receipt not found');
+      }
+
+      await dbRun('DELETE FROM expense_receipts WHERE id = ?', [receiptId]);
+      await recordActivity(teamId, userId, 'receipt.deleted', {
+        entityType: 'receipt',
+        entityId: receiptId,
+        before: { expense_id: Number(expenseId), original_name: row.original_name, mime_type: row.mime_type, size: row.size }
+      });
+      return row;
     });
+    await removeReceiptFiles([receipt.file_name]);
   },
 
-  // Delete an expense
-  async deleteExpense(expenseId) {
-    return new Promise((resolve, reject) => {
-      // Due to CASCADE constraints, this will automatically delete related expense_members entries
-      db.run(
-        'DELETE FROM team_expenses WHERE id = ?',
-        [expenseId],
-        function (err) {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve();
-        }
+  // Get a single expense of a team with its participants, payers and tags.
+  // Participants are { user_id, name, email, split_value, amount_owed }.
+  async getExpense(teamId, expenseId) {
+    const row = await dbGet(
+      'SELECT te.* FROM team_expenses te WHERE te.id = ? AND te.team_id = ? AND te.deleted_at IS NULL',
+      [expenseId, teamId]
+    );
+    if (!row) return row;
+
+    const [splits, payers, tags] = await Promise.all([
+      getExpenseSplits([row.id]),
+      getExpensePayers([row.id]),
+      getExpenseTags([row.id])
+    ]);
+
+    return {
+      ...row,
+      participants: participantsOf(splits, row),
+      payers: payers.map(({ expense_id, ...payer }) => payer),
+      tags: tagsOf(tags, row.id)
+    };
+  },
+
+  // Get a page of a team's expenses, filtered and sorted by the query
+  // parameters described in search.js, with how many match in total. Each
+  // expense comes with its participants, payers and tags as getExpense does.
+  async getTeamExpenses(teamId, query = {}) {
+    const filters = parseExpenseQuery(query);
+    const { where, params } = expenseFilterSQL(teamId, filters);
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+    const { total } = await dbGet(`SELECT COUNT(*) as total FROM team_expenses te WHERE ${where}`, params);
+    const rows = await dbAll(
+      `SELECT te.*
+       FROM team_expenses te
+       WHERE ${where}
+       ORDER BY ${EXPENSE_SORT_SQL[filters.sort]} ${direction}, te.id ${direction}
+       LIMIT ? OFFSET ?`,
+      [...params, filters.limit, filters.offset]
+    );
+
+    const expenseIds = rows.map(row => row.id);
+    const [splits, payers, tags] = await Promise.all([
+      getExpenseSplits(expenseIds),
+      getExpensePayers(expenseIds),
+      getExpenseTags(expenseIds)
+    ]);
+
+    return {
+      expenses: rows.map(row => ({
+        ...row,
+        participants: participantsOf(splits, row),
+        payers: payers
+          .filter(payer => payer.expense_id === row.id)
+          .map(({ expense_id, ...payer }) => payer),
+        tags: tagsOf(tags, row.id)
+      })),
+      total,
+      limit: filters.limit,
+      offset: filters.offset
+    };
+  },
+
+  // Get team expenses summary (total spent, etc.). Totals are in the team's
+  // base currency, with a breakdown by the currency expenses were paid in.
+  async getTeamExpensesSummary(teamId) {
+    const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const converter = await loadConverter(team);
+
+    const expenses = await dbAll(
+      'SELECT amount, currency, expense_date FROM team_expenses WHERE team_id = ? AND deleted_at IS NULL',
+      [teamId]
+    );
+
+    // Compared as YYYY-MM-DD here, since on SQLite MIN and MAX would order
+    // milliseconds before date strings
+    let totalCents = 0;
+    let firstDate = null;
+    let lastDate = null;
+    const byCurrency = new Map();
+    expenses.forEach(expense => {
+      const date = toDateString(expense.expense_date);
+      totalCents += toCents(converter.toBase(expense.amount, expense.currency, date));
+      if (!firstDate || date < firstDate) firstDate = date;
+      if (!lastDate || date > lastDate) lastDate = date;
+
+      const entry = byCurrency.get(expense.currency) || { currency: expense.currency, total_expenses: 0, cents: 0 };
+      entry.total_expenses += 1;
+      entry.cents += toCents(expense.amount);
+      byCurrency.set(expense.currency, entry);
+    });
+
+    return {
+      total_expenses: expenses.length,
+      first_expense_date: firstDate,
+      last_expense_date: lastDate,
+      total_amount: fromCents(totalCents),
+      currency: team.base_currency,
+      by_currency: [...byCurrency.values()].map(({ cents, ...entry }) => ({
+        ...entry,
+        total_amount: fromCents(cents)
+      }))
+    };
+  },
+
+  // Break a team's spending down by category, tag, member and month, in the
+  // team's base currency, optionally between two dates
+  async getTeamExpenseReport(teamId, { from, to } = {}) {
+    checkDateRange(from, to);
+
+    const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const converter = await loadConverter(team);
+
+    const expenses = (await dbAll(
+      'SELECT id, amount, currency, category, expense_date FROM team_expenses WHERE team_id = ? AND deleted_at IS NULL',
+      [teamId]
+    ))
+      .map(expense => ({ ...expense, date: toDateString(expense.expense_date) }))
+      .filter(expense => (!from || expense.date >= from) && (!to || expense.date <= to));
+
+    const expenseIds = expenses.map(expense => expense.id);
+    const splits = await getExpenseSplits(expenseIds);
+    const payers = await getExpensePayers(expenseIds);
+    const tags = await getExpenseTags(expenseIds);
+
+    const report = buildExpenseReport(expenses.map(expense => converter.convertExpense({
+      ...expense,
+      tags: tagsOf(tags, expense.id),
+      participants: splits.filter(split => split.expense_id === expense.id),
+      payers: payers.filter(payer => payer.expense_id === expense.id)
+    }, expense.date)));
+
+    return {
+      team_id: teamId,
+      currency: team.base_currency,
+      range: { from: from || null, to: to || null },
+      ...report
+    };
+  },
+
+  // Get the categories a team can use: the defaults and its own
+  async getCategories(teamId) {
+    const custom = await dbAll(
+      'SELECT name, created_by, created_at FROM team_categories WHERE team_id = ? ORDER BY name',
+      [teamId]
+    );
+    return [
+      ...DEFAULT_CATEGORIES.map(name => ({ name, custom: false })),
+      ...custom.map(category => ({ ...category, custom: true }))
+    ];
+  },
+
+  // Add a category of the team's own
+  async addCategory(teamId, userId, name) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'categories:manage');
+
+      const category = normalizeCategoryName(name);
+      const existing = DEFAULT_CATEGORIES.includes(category)
+        || await dbGet('SELECT name FROM team_categories WHERE team_id = ? AND name = ?', [teamId, category]);
+      if (existing) {
+        throw new Error(`Category "${category}" already exists`);
+      }
+
+      await dbRun(
+        'INSERT INTO team_categories (team_id, name, created_by) VALUES (?, ?, ?)',
+        [teamId, category, userId]
       );
+      await recordActivity(teamId, userId, 'category.added', {
+        entityType: 'category',
+        entityId: category,
+        after: { name: category }
+      });
+      return category;
     });
   },
 
-  // Get a single expense with its members
-  async getExpense(expenseId) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        `SELECT te.*, 
-                  GROUP_CONCAT(u.id) as member_ids,
-                  GROUP_CONCAT(u.name) as member_names
-           FROM team_expenses te
-           LEFT JOIN expense_members em ON te.id = em.expense_id
-           LEFT JOIN users u ON em.user_id = u.id
-           WHERE te.id = ?
-           GROUP BY te.id`,
-        [expenseId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (row) {
-            row.member_ids = row.member_ids ? row.member_ids.split(',').map(Number) : [];
-            row.member_names = row.member_names ? row.member_names.split(',') : [];
-          }
-
-          resolve(row);
-        }
+  // Remove one of the team's own categories once no expense uses it
+  async deleteCategory(teamId, name, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'categories:manage');
+
+      const category = normalizeCategoryName(name);
+      if (DEFAULT_CATEGORIES.includes(category)) {
+        throw new Error('Default categories cannot be removed');
+      }
+
+      const { count } = await dbGet(
+        'SELECT COUNT(*) as count FROM team_expenses WHERE team_id = ? AND category = ?',
+        [teamId, category]
       );
+      if (count > 0) {
+        throw new Error(`Category "${category}" is used by ${count} expense${count === 1 ? '' : 's'}`);
+      }
+
+      const { changes } = await dbRun(
+        'DELETE FROM team_categories WHERE team_id = ? AND name = ?',
+        [teamId, category]
+      );
+      if (changes === 0) {
+        throw new Error('Category not found');
+      }
+
+      await recordActivity(teamId, userId, 'category.deleted', {
+        entityType: 'category',
+        entityId: category,
+        before: { name: category }
+      });
     });
   },
 
-  // Get all expenses for a team
-  async getTeamExpenses(teamId) {
-    return new Promise((resolve, reject) => {
-      db.all(
-        `SELECT te.*, 
-                  GROUP_CONCAT(u.id) as member_ids,
-                  GROUP_CONCAT(u.name) as member_names
-           FROM team_expenses te
-           LEFT JOIN expense_members em ON te.id = em.expense_id
-           LEFT JOIN users u ON em.user_id = u.id
-           WHERE te.team_id = ?
-           GROUP BY te.id
-           ORDER BY te.expense_date DESC`,
-        [teamId],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          rows = rows.map(row => ({
-            ...row,
-            member_ids: row.member_ids ? row.member_ids.split(',').map(Number) : [],
-            member_names: row.member_names ? row.member_names.split(',') : []
-          }));
-
-          resolve(rows);
-        }
+  // Get every tag used in a team with how many expenses have it
+  async getTeamTags(teamId) {
+    return dbAll(
+      `SELECT et.tag, COUNT(*) as count
+       FROM expense_tags et
+       JOIN team_expenses te ON te.id = et.expense_id AND te.deleted_at IS NULL
+       WHERE et.team_id = ?
+       GROUP BY et.tag
+       ORDER BY count DESC, tag`,
+      [teamId]
+    );
+  },
+
+  // Get each member's net position from contributions and expenses in the
+  // team's base currency, optionally counting only what happened up to and
+  // including the asOf date
+  async getTeamBalances(teamId, { asOf } = {}) {
+    const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const converter = await loadConverter(team);
+
+    const members = await dbAll(
+      `SELECT user_id, name, email, left_at
+       FROM team_members
+       WHERE team_id = ?
+       ORDER BY joined_at ASC`,
+      [teamId]
+    );
+
+    // Expense dates are stored in more than one format, so the cut-off is
+    // applied after loading
+    const upTo = field => row => !asOf || toDateString(row[field]) <= asOf;
+
+    // Payments are converted at the rate when their period began, as they are
+    // everywhere else
+    const contributions = (await dbAll(
+      `SELECT cp.user_id, cp.amount, cp.currency, cp.paid_at, p.period_start
+       FROM contribution_payments cp
+       JOIN contribution_periods p ON p.id = cp.period_id
+       WHERE cp.team_id = ?`,
+      [teamId]
+    ))
+      .filter(upTo('paid_at'))
+      .map(payment => ({ ...payment, amount: converter.toBase(payment.amount, payment.currency, payment.period_start) }));
+
+    const expenses = (await dbAll(
+      'SELECT id, amount, currency, expense_date FROM team_expenses WHERE team_id = ? AND deleted_at IS NULL ORDER BY id',
+      [teamId]
+    )).filter(upTo('expense_date'));
+
+    const expenseIds = expenses.map(expense => expense.id);
+    const splits = await getExpenseSplits(expenseIds);
+    const payers = await getExpensePayers(expenseIds);
+
+    const fundTransactions = (await dbAll(
+      'SELECT type, user_id, amount, currency, transaction_date FROM fund_transactions WHERE team_id = ?',
+      [teamId]
+    ))
+      .filter(upTo('transaction_date'))
+      .map(transaction => ({
+        ...transaction,
+        amount: converter.toBase(transaction.amount, transaction.currency, transaction.transaction_date)
+      }));
+
+    const balances = calculateBalances({
+      members: members.filter(member => !member.left_at),
+      formerMembers: members.filter(member => member.left_at),
+      contributions,
+      fundTransactions,
+      expenses: expenses.map(expense => converter.convertExpense({
+        ...expense,
+        participants: splits.filter(split => split.expense_id === expense.id),
+        payers: payers.filter(payer => payer.expense_id === expense.id)
+      }, toDateString(expense.expense_date)))
+    });
+
+    return { team_id: teamId, currency: team.base_currency, ...balances };
+  },
+
+  // Get the transfers needed to settle every member's balance
+  async getTeamSettlements(teamId) {
+    const balances = await this.getTeamBalances(teamId);
+    return {
+      ...balances,
+      settlements: calculateSettlements(balances)
+    };
+  },
+
+  // Get a team's expenses, contribution status and balances for export.
+  // Expenses and contribution periods are limited to the from/to range, and
+  // balances are as they stood at the end of it.
+  async getTeamExport(teamId, { from, to } = {}) {
+    checkDateRange(from, to);
+
+    const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+
+    const inRange = date => (!from || date >= from) && (!to || date <= to);
+    const converter = await loadConverter(team);
+
+    const expenses = (await dbAll(
+      'SELECT id, description, category, amount, currency, expense_date, split_mode FROM team_expenses WHERE team_id = ? AND deleted_at IS NULL',
+      [teamId]
+    ))
+      .map(expense => ({ ...expense, date: toDateString(expense.expense_date) }))
+      .filter(expense => inRange(expense.date))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+
+    const expenseIds = expenses.map(expense => expense.id);
+    const splits = await getExpenseSplits(expenseIds);
+    const payers = await getExpensePayers(expenseIds);
+    const tags = await getExpenseTags(expenseIds);
+
+    const summary = await loadContributionSummary(team, converter);
+    const contributions = [];
+    summary.members.forEach(({ history, ...member }) => {
+      history
+        .filter(entry => (!to || entry.period_start <= to) && (!from || !entry.period_end || entry.period_end >= from))
+        .forEach(({ payments, ...entry }) => {
+          contributions.push({ user_id: member.user_id, name: member.name, email: member.email, ...entry });
+        });
+    });
+
+    return {
+      team: { id: team.id, name: team.name, base_currency: team.base_currency },
+      range: { from: from || null, to: to || null },
+      generated_at: new Date().toISOString(),
+      expenses: expenses.map(({ expense_date, ...expense }) => ({
+        ...expense,
+        base_amount: converter.toBase(expense.amount, expense.currency, expense.date),
+        tags: tagsOf(tags, expense.id),
+        payers: payers
+          .filter(payer => payer.expense_id === expense.id)
+          .map(({ expense_id, ...payer }) => payer),
+        participants: participantsOf(splits, expense)
+      })),
+      contributions,
+      balances: await this.getTeamBalances(teamId, { asOf: to })
+    };
+  },
+
+  // Change the currency a team reports in. Every currency the team has used
+  // needs an exchange rate to the new one first. Contribution periods that
+  // start from now on are collected in the new currency.
+  async setBaseCurrency(teamId, userId, baseCurrency) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'currency:manage');
+
+      const currency = normalizeCurrency(baseCurrency);
+      const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+      const converter = await loadConverter({ ...team, base_currency: currency });
+
+      const missing = (await currenciesInUse(teamId)).filter(code => !converter.hasRate(code));
+      if (missing.length > 0) {
+        throw new Error(`Add exchange rates to ${currency} for ${missing.join(', ')} before switching`);
+      }
+
+      await dbRun('UPDATE teams SET base_currency = ? WHERE id = ?', [currency, teamId]);
+      await recordActivity(teamId, userId, 'currency.changed', {
+        entityType: 'team',
+        entityId: teamId,
+        before: { base_currency: team.base_currency },
+        after: { base_currency: currency }
+      });
+    });
+  },
+
+  // Get a team's exchange rates, newest first
+  async getExchangeRates(teamId) {
+    return dbAll(
+      `SELECT id, from_currency, to_currency, rate, effective_date, created_by, created_at
+       FROM exchange_rates
+       WHERE team_id = ?
+       ORDER BY effective_date DESC, from_currency, to_currency`,
+      [teamId]
+    );
+  },
+
+  // Add exchange rates, replacing any already set for the same currencies and day
+  async addExchangeRates(teamId, userId, rates) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'currency:manage');
+
+      const entries = normalizeRates(rates);
+      const rateKey = rate => `${rate.from}/${rate.to} ${rate.date}`;
+      const before = Object.fromEntries((await dbAll(
+        'SELECT from_currency as "from", to_currency as "to", effective_date as date, rate FROM exchange_rates WHERE team_id = ?',
+        [teamId]
+      )).map(rate => [rateKey(rate), rate.rate]));
+
+      for (const entry of entries) {
+        await dbRun(
+          `INSERT INTO exchange_rates (team_id, from_currency, to_currency, rate, effective_date, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (team_id, from_currency, to_currency, effective_date)
+           DO UPDATE SET rate = excluded.rate, created_by = excluded.created_by`,
+          [teamId, entry.from, entry.to, entry.rate, entry.date, userId]
+        );
+      }
+
+      // Logged as one entry keyed by pair and day, so replaced rates show their old value
+      const keys = entries.map(rateKey);
+      await recordActivity(teamId, userId, 'exchange_rates.added', {
+        entityType: 'exchange_rate',
+        before: Object.fromEntries(keys.filter(key => key in before).map(key => [key, before[key]])),
+        after: Object.fromEntries(entries.map(entry => [rateKey(entry), entry.rate]))
+      });
+      return entries.length;
+    });
+  },
+
+  // Remove an exchange rate, unless it is the last one for a currency the
+  // team still has amounts in
+  async deleteExchangeRate(teamId, rateId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'currency:manage');
+
+      const rate = await dbGet(
+        'SELECT from_currency, to_currency, rate, effective_date FROM exchange_rates WHERE id = ? AND team_id = ?',
+        [rateId, teamId]
+      );
+      if (!rate) {
+        throw new Error('Exchange rate not found');
+      }
+
+      const team = await dbGet('SELECT id, base_currency FROM teams WHERE id = ?', [teamId]);
+      const remaining = await dbAll(
+        'SELECT from_currency, to_currency, rate, effective_date FROM exchange_rates WHERE team_id = ? AND id != ?',
+        [teamId, rateId]
       );
+      const converter = createConverter(remaining, team.base_currency);
+      const stranded = (await currenciesInUse(teamId)).filter(code => !converter.hasRate(code));
+      if (stranded.length > 0) {
+        throw new Error(`This is the only exchange rate for ${stranded.join(', ')}, which the team still uses`);
+      }
+
+      await dbRun('DELETE FROM exchange_rates WHERE id = ?', [rateId]);
+      await recordActivity(teamId, userId, 'exchange_rate.deleted', {
+        entityType: 'exchange_rate',
+        entityId: rateId,
+        before: rate
+      });
     });
   },
 
-  // Get team expenses summary (total spent, etc.)
-  async getTeamExpensesSummary(teamId) {
-    return new Promise((resolve, reject) => {
-      db.get(
-        `SELECT 
-              COUNT(*) as total_expenses,
-              SUM(amount) as total_amount,
-              MIN(expense_date) as first_expense_date,
-              MAX(expense_date) as last_expense_date
-           FROM team_expenses
-           WHERE team_id = ?`,
-        [teamId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(row);
+  // Record a refund paid out of the fund to a member, or an adjustment to the
+  // fund such as bank fees or a correction after counting the cash
+  async addFundTransaction(teamId, userId, { type, amount, description, memberId, date }) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'fund:manage');
+
+      if (!FUND_TRANSACTION_TYPES.includes(type)) {
+        throw new Error(`Invalid fund transaction type. Use one of: ${FUND_TRANSACTION_TYPES.join(', ')}`);
+      }
+      if (date && !isValidDate(date)) {
+        throw new Error('Transaction date must be a valid YYYY-MM-DD date');
+      }
+
+      let cents = toCents(amount);
+      if (type === 'refund') {
+        if (!(cents > 0)) {
+          throw new Error('Refund amount must be greater than 0');
+        }
+        const member = await dbGet(
+          'SELECT user_id FROM team_members WHERE team_id = ? AND user_id = ?',
+          [teamId, memberId]
+        );
+        if (!member) {
+          throw new Error('Member not found');
+        }
+        cents = -cents;
+      } else {
+        if (!Number.isFinite(Number(amount)) || cents === 0) {
+          throw new Error('Adjustment amount must be a non-zero number');
+        }
+        if (!description) {
+          throw new Error('Adjustments need a description');
         }
+      }
+
+      const { lastID } = await dbRun(
+        `INSERT INTO fund_transactions (team_id, type, amount, currency, description, user_id, transaction_date, created_by)
+         VALUES (?, ?, ?, (SELECT base_currency FROM teams WHERE id = ?), ?, ?, ?, ?)`,
+        [teamId, type, fromCents(cents), teamId, description || null, type === 'refund' ? memberId : null, date || today(), userId]
       );
+
+      await recordActivity(teamId, userId, 'fund.transaction_added', {
+        entityType: 'fund_transaction',
+        entityId: lastID,
+        after: await dbGet(
+          'SELECT type, amount, currency, description, user_id, transaction_date FROM fund_transactions WHERE id = ?',
+          [lastID]
+        )
+      });
+      return lastID;
     });
+  },
+
+  // Remove a refund or adjustment that was recorded by mistake
+  async deleteFundTransaction(teamId, transactionId, userId) {
+    return withTransaction(async () => {
+      await this.checkPermission(teamId, userId, 'fund:manage');
+
+      const transaction = await dbGet(
+        'SELECT type, amount, currency, description, user_id, transaction_date FROM fund_transactions WHERE id = ? AND team_id = ?',
+        [transactionId, teamId]
+      );
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+
+      await dbRun('DELETE FROM fund_transactions WHERE id = ?', [transactionId]);
+      await recordActivity(teamId, userId, 'fund.transaction_deleted', {
+        entityType: 'fund_transaction',
+        entityId: transactionId,
+        before: transaction
+      });
+    });
+  },
+
+  // Get a team's activity log, newest first. Pass the id of the oldest entry
+  // seen as before to get the next page, and an entity type and id to see the
+  // history of a single record.
+  async getTeamActivity(teamId, { before, limit, entityType, entityId } = {}) {
+    const pageSize = limit === undefined || limit === '' ? 50 : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+      throw new Error('limit must be a whole number from 1 to 200');
+    }
+    if (before !== undefined && before !== '' && !(Number.isInteger(Number(before)) && Number(before) > 0)) {
+      throw new Error('before must be the id of an activity entry');
+    }
+
+    const conditions = ['team_id = ?'];
+    const params = [teamId];
+    if (before) {
+      conditions.push('id < ?');
+      params.push(Number(before));
+    }
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(entityType);
+    }
+    if (entityId) {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+
+    const rows = await dbAll(
+      `SELECT id, actor_id, actor_name, action, entity_type, entity_id, changes, created_at
+       FROM activity_log
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, pageSize + 1]
+    );
+
+    const entries = rows.slice(0, pageSize).map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+    return {
+      entries,
+      next_before: rows.length > pageSize ? entries[entries.length - 1].id : null
+    };
+  },
+
+  // Get every movement of money in and out of the team fund with a running
+  // balance, plus the contributions still outstanding. Amounts are in the
+  // team's base currency; converted entries keep their original amount.
+  async getTeamLedger(teamId) {
+    const team = await dbGet('SELECT * FROM teams WHERE id = ?', [teamId]);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const converter = await loadConverter(team);
+
+    const inBase = (row, date) => (row.currency === team.base_currency ? row : {
+      ...row,
+      amount: converter.toBase(row.amount, row.currency, date),
+      original: { amount: row.amount, currency: row.currency }
+    });
+
+    const contributions = (await dbAll(
+      `SELECT cp.id, cp.user_id, tm.name, cp.amount, cp.currency, cp.note, cp.paid_at, p.period_start
+       FROM contribution_payments cp
+       JOIN contribution_periods p ON p.id = cp.period_id
+       LEFT JOIN team_members tm ON tm.team_id = cp.team_id AND tm.user_id = cp.user_id
+       WHERE cp.team_id = ?`,
+      [teamId]
+    )).map(payment => inBase(payment, payment.period_start));
+
+    // Expenses without payers were paid out of the fund
+    const expenses = (await dbAll(
+      `SELECT te.id, te.description, te.amount, te.currency, te.expense_date
+       FROM team_expenses te
+       WHERE te.team_id = ? AND te.deleted_at IS NULL
+         AND NOT EXISTS (SELECT 1 FROM expense_payers ep WHERE ep.expense_id = te.id)`,
+      [teamId]
+    )).map(expense => inBase(expense, toDateString(expense.expense_date)));
+
+    const fundTransactions = (await dbAll(
+      `SELECT ft.id, ft.type, ft.amount, ft.currency, ft.description, ft.user_id, tm.name, ft.transaction_date
+       FROM fund_transactions ft
+       LEFT JOIN team_members tm ON tm.team_id = ft.team_id AND tm.user_id = ft.user_id
+       WHERE ft.team_id = ?`,
+      [teamId]
+    )).map(transaction => inBase(transaction, transaction.transaction_date));
+
+    const summary = await loadContributionSummary(team, converter);
+    const outstandingCents = summary.periods.reduce((sum, period) => sum + toCents(period.outstanding), 0);
+
+    return {
+      team_id: teamId,
+      currency: team.base_currency,
+      ...buildLedger({ contributions, expenses, fundTransactions }),
+      outstanding_contributions: fromCents(outstandingCents)
+    };
   }
 
 };
 
-module.exports = { db, TeamManager };
\ No newline at end of file
+// Accounts for the local auth provider. Emails are stored lowercase.
+const UserManager = {
+  async createUser({ email, name, passwordHash }) {
+    const id = uuidv4();
+    try {
+      await dbRun(
+        'INSERT INTO users (id, email, name, password_hash) VALUES (?, ?, ?, ?)',
+        [id, email, name, passwordHash]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        throw new Error('User already registered');
+      }
+      throw err;
+    }
+    return this.getUserById(id);
+  },
+
+  getUserById(id) {
+    return dbGet('SELECT * FROM users WHERE id = ?', [id]);
+  },
+
+  getUserByEmail(email) {
+    return dbGet('SELECT * FROM users WHERE email = ?', [email]);
+  },
+
+  // Change any of email, name and passwordHash
+  async updateUser(id, { email, name, passwordHash }) {
+    try {
+      await dbRun(
+        `UPDATE users
+         SET email = COALESCE(?, email), name = COALESCE(?, name),
+             password_hash = COALESCE(?, password_hash), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [email || null, name || null, passwordHash || null, id]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        throw new Error('A user with this email address already exists');
+      }
+      throw err;
+    }
+    return this.getUserById(id);
+  },
+
+  // Store a reset token. Only the newest one for a user works.
+  async createPasswordReset(userId, tokenHash, expiresAt) {
+    return withTransaction(async () => {
+      await dbRun('DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL', [userId]);
+      await dbRun(
+        'INSERT INTO password_resets (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+        [tokenHash, userId, expiresAt]
+      );
+    });
+  },
+
+  // Use up a reset token, resolving with the user it belongs to
+  async usePasswordReset(tokenHash) {
+    return withTransaction(async () => {
+      const reset = await dbGet(
+        'SELECT user_id, expires_at FROM password_resets WHERE token_hash = ? AND used_at IS NULL',
+        [tokenHash]
+      );
+      if (!reset || new Date(reset.expires_at) <= new Date()) {
+        throw new Error('Invalid or expired reset link');
+      }
+
+      const { changes } = await dbRun(
+        'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND used_at IS NULL',
+        [tokenHash]
+      );
+      if (changes === 0) {
+        throw new Error('Invalid or expired reset link');
+      }
+      return reset.user_id;
+    });
+  }
+};
+
+module.exports = { storage, prepareDatabase, TeamManager, UserManager };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// export.js
+// Column layouts for exporting team data to CSV, one file per section
+const { toCSV } = require('./csv');
+const { TEAM_FUND } = require('./balances');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const EXPORT_SECTIONS = ['expenses', 'contributions', 'balances'];
+
+const money = amount => (amount === null || amount === undefined ? '' : Number(amount).toFixed(2));
+const nameOf = person => person.name || person.user_id;
+
+const COLUMNS = {
+  expenses: [
+    { header: 'Expense ID', key: 'id' },
+    { header: 'Date', key: 'date' },
+    { header: 'Description', key: 'description' },
+    { header: 'Category', key: 'category' },
+    { header: 'Tags', value: expense => expense.tags.join(', ') },
+    { header: 'Amount', value: expense => money(expense.amount) },
+    { header: 'Currency', key: 'currency' },
+    { header: 'Amount in base currency', value: expense => money(expense.base_amount) },
+    { header: 'Split', key: 'split_mode' },
+    {
+      header: 'Paid by',
+      value: expense => (expense.payers.length === 0
+        ? TEAM_FUND.name
+        : expense.payers.map(payer => `${nameOf(payer)}: ${money(payer.amount)}`).join('; '))
+    },
+    {
+      header: 'Participants',
+      value: expense => expense.participants
+        .map(participant => `${nameOf(participant)}: ${money(participant.amount_owed)}`)
+        .join('; ')
+    }
+  ],
+  contributions: [
+    { header: 'Member', value: nameOf },
+    { header: 'Email', key: 'email' },
+    { header: 'Period start', key: 'period_start' },
+    { header: 'Period end', key: 'period_end' },
+    { header: 'Due date', key: 'due_date' },
+    { header: 'Amount due', value: row => money(row.amount_due) },
+    { header: 'Amount paid', value: row => money(row.amount_paid) },
+    { header: 'Outstanding', value: row => money(row.outstanding) },
+    { header: 'Status', key: 'status' },
+    { header: 'Overdue', value: row => (row.overdue ? 'yes' : 'no') }
+  ],
+  balances: [
+    { header: 'Member', value: nameOf },
+    { header: 'Email', key: 'email' },
+    { header: 'Contributed', value: row => money(row.contributed) },
+    { header: 'Paid', value: row => money(row.paid) },
+    { header: 'Owed', value: row => money(row.owed) },
+    { header: 'Refunded', value: row => money(row.refunded) },
+    { header: 'Adjustments', value: row => money(row.adjustments) },
+    { header: 'Net', value: row => money(row.net) }
+  ]
+};
+
+// CSV for one section of the data returned by TeamManager.getTeamExport. The
+// balances section ends with a row for whatever is left in the team fund.
+function exportSectionToCSV(data, section) {
+  if (section === 'balances') {
+    return toCSV(COLUMNS.balances, [
+      ...data.balances.members,
+      { name: TEAM_FUND.name, net: data.balances.fund.balance }
+    ]);
+  }
+
+  return toCSV(COLUMNS[section], data[section]);
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_SECTIONS, exportSectionToCSV };
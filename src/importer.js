@@ -0,0 +1,277 @@
+// importer.js
+// Turn rows of an expense CSV into createExpense arguments. Two layouts are
+// understood:
+//   generic   - one column each for description, amount, date, payer,
+//               participants and currency, found by header name or an
+//               explicit mapping
+//   splitwise - Splitwise's export: Date, Description, Category, Cost,
+//               Currency, then one column per person holding what the expense
+//               did to their balance (what they paid minus their share)
+const { parseCSV } = require('./csv');
+const { toCents, fromCents } = require('./money');
+const { isValidDate } = require('./dates');
+const { TEAM_FUND } = require('./balances');
+const { normalizeCurrency } = require('./currency');
+
+const IMPORT_FORMATS = ['generic', 'splitwise'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Header names each field is looked for under when no mapping is given
+const DEFAULT_HEADERS = {
+  description: ['description', 'item', 'name'],
+  amount: ['amount', 'cost', 'total'],
+  date: ['date', 'expense date'],
+  payer: ['paid by', 'payer', 'paid_by'],
+  participants: ['participants', 'split with', 'members'],
+  currency: ['currency']
+};
+
+const SPLITWISE_COLUMNS = ['date', 'description', 'category', 'cost', 'currency'];
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+// '1,234.50', '$12' and '-3.10' all parse; anything else is NaN
+function parseAmount(value) {
+  const cleaned = String(value || '').trim().replace(/[$€£,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+// A blank currency means the team's base currency
+function parseCurrency(value, errors) {
+  if (!String(value || '').trim()) return null;
+
+  try {
+    return normalizeCurrency(value);
+  } catch (error) {
+    errors.push(error.message);
+    return null;
+  }
+}
+
+function parseDateValue(value, dateFormat) {
+  const text = String(value || '').trim();
+  let date = text;
+
+  if (dateFormat !== 'YYYY-MM-DD') {
+    const parts = text.split(/[/.-]/);
+    if (parts.length === 3) {
+      const [day, month] = dateFormat === 'DD/MM/YYYY' ? parts : [parts[1], parts[0]];
+      date = `${parts[2]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+  } else {
+    // Splitwise and most spreadsheets add a time to ISO dates
+    date = text.slice(0, 10);
+  }
+
+  return isValidDate(date) ? date : null;
+}
+
+// Find the team member a name or email in the file refers to
+function matchMember(members, value) {
+  const key = normalize(value);
+  const byEmail = members.filter(member => normalize(member.email) === key);
+  if (byEmail.length === 1) return { member: byEmail[0] };
+
+  const byName = members.filter(member => normalize(member.name) === key);
+  if (byName.length === 1) return { member: byName[0] };
+  if (byName.length > 1) return { error: `"${value}" matches more than one member; use their email instead` };
+
+  return { error: `"${value}" does not match any team member` };
+}
+
+// Column index for each field, from the mapping or the default header names
+function resolveColumns(headers, mapping) {
+  const names = headers.map(normalize);
+  const columns = {};
+  const errors = [];
+
+  Object.keys(DEFAULT_HEADERS).forEach(field => {
+    const wanted = mapping[field] ? [normalize(mapping[field])] : DEFAULT_HEADERS[field];
+    const index = names.findIndex(name => wanted.includes(name));
+
+    if (index !== -1) {
+      columns[field] = index;
+    } else if (mapping[field]) {
+      errors.push(`Column "${mapping[field]}" mapped to ${field} is not in the file`);
+    }
+  });
+
+  ['description', 'amount', 'date'].forEach(field => {
+    if (columns[field] === undefined && !mapping[field]) {
+      errors.push(`No ${field} column found; add a mapping for it`);
+    }
+  });
+
+  return { columns, errors };
+}
+
+function parseGenericRow(cells, columns, members, dateFormat) {
+  const errors = [];
+  const cell = field => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+  const description = cell('description');
+  if (!description) errors.push('Description is missing');
+
+  const amount = parseAmount(cell('amount'));
+  if (!(amount > 0)) errors.push(`Amount "${cell('amount')}" is not a positive number`);
+
+  const date = parseDateValue(cell('date'), dateFormat);
+  if (!date) errors.push(`Date "${cell('date')}" is not a valid ${dateFormat} date`);
+
+  const currency = parseCurrency(cell('currency'), errors);
+
+  // No payer, or the fund named explicitly, means it was paid out of the fund
+  let payers = [];
+  const payer = cell('payer');
+  if (payer && normalize(payer) !== normalize(TEAM_FUND.name)) {
+    const match = matchMember(members, payer);
+    if (match.error) {
+      errors.push(`Payer ${match.error}`);
+    } else {
+      payers = [{ userId: match.member.user_id, amount }];
+    }
+  }
+
+  // Participants are separated by ; or | and may each carry an amount
+  // ("Alice: 12.50"), in which case the expense is split exactly
+  let splitMode = 'equal';
+  let splits = members.map(member => member.user_id);
+  const participants = cell('participants');
+  if (participants) {
+    const entries = participants.split(/[;|]/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const withAmount = entry.match(/^(.*?)\s*:\s*([-$€£\d.,\s]+)$/);
+      return withAmount ? { who: withAmount[1], value: parseAmount(withAmount[2]) } : { who: entry, value: null };
+    });
+
+    const withAmounts = entries.filter(entry => entry.value !== null).length;
+    if (withAmounts > 0 && withAmounts < entries.length) {
+      errors.push('Give an amount for every participant or for none of them');
+    }
+    splitMode = withAmounts > 0 ? 'exact' : 'equal';
+
+    splits = [];
+    entries.forEach(entry => {
+      const match = matchMember(members, entry.who);
+      if (match.error) {
+        errors.push(`Participant ${match.error}`);
+      } else if (splitMode === 'exact') {
+        splits.push({ userId: match.member.user_id, value: entry.value });
+      } else {
+        splits.push(match.member.user_id);
+      }
+    });
+  }
+
+  return errors.length > 0
+    ? { errors }
+    : { expense: { description, amount, date, splitMode, splits, payers, currency } };
+}
+
+// A person's column is what they paid minus their share, so everyone below
+// zero owes that much and the single person above zero paid the whole cost
+function parseSplitwiseRow(cells, people, dateFormat) {
+  const errors = [];
+  const [rawDate, description, category, rawCost, rawCurrency] = cells.map(value => (value || '').trim());
+
+  if (normalize(description) === 'total balance') {
+    return { skipped: 'Total balance row' };
+  }
+  if (normalize(category) === 'payment') {
+    return { skipped: 'Payments between members are settlements, not expenses' };
+  }
+
+  if (!description) errors.push('Description is missing');
+
+  const amount = parseAmount(rawCost);
+  if (!(amount > 0)) errors.push(`Cost "${rawCost}" is not a positive number`);
+
+  const date = parseDateValue(rawDate, dateFormat);
+  if (!date) errors.push(`Date "${rawDate}" is not a valid ${dateFormat} date`);
+
+  const currency = parseCurrency(rawCurrency, errors);
+
+  const balances = [];
+  people.forEach(person => {
+    const value = parseAmount(cells[person.index]);
+    if (!value) return;
+
+    if (person.error) {
+      errors.push(person.error);
+    } else {
+      balances.push({ userId: person.member.user_id, cents: toCents(value) });
+    }
+  });
+
+  const payers = balances.filter(balance => balance.cents > 0);
+  if (errors.length === 0 && payers.length !== 1) {
+    errors.push(payers.length === 0
+      ? 'Nobody paid for this expense'
+      : 'Expenses with more than one payer cannot be imported from Splitwise');
+  }
+  if (errors.length > 0) return { errors };
+
+  const payer = payers[0];
+  const splits = balances.map(balance => ({
+    userId: balance.userId,
+    value: fromCents(balance === payer ? toCents(amount) - balance.cents : -balance.cents)
+  })).filter(split => split.value > 0);
+
+  return {
+    expense: {
+      description,
+      amount,
+      date,
+      splitMode: 'exact',
+      splits,
+      payers: [{ userId: payer.userId, amount }],
+      currency
+    }
+  };
+}
+
+// Parse an expense CSV against a team's members. Returns one result per data
+// row, each holding either the expense, the row's errors or why it was
+// skipped, plus errors that apply to the whole file.
+function parseExpenseCSV(csv, members, { format = 'generic', mapping = {}, dateFormat = 'YYYY-MM-DD' } = {}) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid import format. Use one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw new Error(`Invalid date format. Use one of: ${DATE_FORMATS.join(', ')}`);
+  }
+
+  const [headers = [], ...lines] = parseCSV(csv || '');
+  if (headers.length === 0 || lines.length === 0) {
+    throw new Error('The CSV file has no rows to import');
+  }
+
+  let parseRow;
+  let fileErrors = [];
+
+  if (format === 'splitwise') {
+    const missing = SPLITWISE_COLUMNS.filter((column, i) => normalize(headers[i]) !== column);
+    if (missing.length > 0) {
+      fileErrors.push(`Not a Splitwise export; expected columns ${SPLITWISE_COLUMNS.join(', ')} first`);
+    }
+
+    const people = headers.slice(SPLITWISE_COLUMNS.length).map((name, i) => {
+      const match = matchMember(members, name);
+      return { index: SPLITWISE_COLUMNS.length + i, member: match.member, error: match.error };
+    });
+    parseRow = cells => parseSplitwiseRow(cells, people, dateFormat);
+  } else {
+    const { columns, errors } = resolveColumns(headers, mapping);
+    fileErrors = errors;
+    parseRow = cells => parseGenericRow(cells, columns, members, dateFormat);
+  }
+
+  // Row numbers count the header as row 1, as a spreadsheet would
+  const rows = fileErrors.length > 0 ? [] : lines
+    .map((cells, i) => ({ row: i + 2, cells }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+    .map(({ row, cells }) => ({ row, ...parseRow(cells) }));
+
+  return { rows, errors: fileErrors };
+}
+
+module.exports = { IMPORT_FORMATS, DATE_FORMATS, parseExpenseCSV };
@@ -1,17 +1,22 @@
+// Loaded first, as db.js reads where the database is when it loads
+require('dotenv').config();
+
 const express = require('express');
 const session = require('express-session');
-const { createClient } = require('@supabase/supabase-js');
-const { TeamManager } = require('./db');
-
-require('dotenv').config();
+const multer = require('multer');
+const { TeamManager, prepareDatabase } = require('./db');
+const { createAuthProvider } = require('./auth');
+const { EXPORT_FORMATS, EXPORT_SECTIONS, exportSectionToCSV } = require('./export');
+const { parseRatesCSV } = require('./currency');
+const { MAX_RECEIPT_SIZE } = require('./receipts');
+const { PURGE_INTERVAL_MS } = require('./trash');
+const { isValidDate } = require('./dates');
 
 const app = express();
 
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY
-);
+// Supabase unless AUTH_PROVIDER says otherwise; see auth.js
+const auth = createAuthProvider(process.env.AUTH_PROVIDER || undefined);
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
 
 // Middleware
 app.use(express.json());
@@ -27,6 +32,60 @@ app.use(session({
 // Set view engine
 app.set('view engine', 'ejs');
 
+// Only let the request through when the user's team role allows the action
+function requireTeamPermission(permission) {
+    return async (req, res, next) => {
+        if (!req.session.user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        try {
+            req.teamMember = await TeamManager.checkPermission(
+                req.params.teamId,
+                req.session.user.id,
+                permission
+            );
+            next();
+        } catch (error) {
+            res.status(403).json({ error: error.message });
+        }
+    };
+}
+
+// 404 unless the expense in the URL belongs to the team in the URL
+async function requireTeamExpense(req, res, next) {
+    try {
+        if (!(await TeamManager.isTeamExpense(req.params.teamId, req.params.expenseId))) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        next();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}
+
+// Receipts are held in memory until they are checked and written to disk
+const receiptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_RECEIPT_SIZE, files: 1 }
+}).single('receipt');
+
+// Read a single receipt upload from the "receipt" field of a multipart form
+function uploadReceipt(req, res, next) {
+    receiptUpload(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Receipts can be at most ${MAX_RECEIPT_SIZE / (1024 * 1024)} MB`
+                : err.message;
+            return res.status(400).json({ error: message });
+        }
+        next();
+    });
+}
+
+// Everything under a team is only available to that team's members
+app.use('/api/teams/:teamId', requireTeamPermission('team:view'));
+
 // Routes
 app.get('/', (req, res) => {
     res.render('index', { user: req.session.user });
@@ -40,25 +99,59 @@ app.get('/register', (req, res) => {
     res.render('register');
 });
 
+app.get('/forgot-password', (req, res) => {
+    res.render('forgot-password');
+});
+
+app.get('/reset-password', (req, res) => {
+    res.render('reset-password', { token: req.query.token || '' });
+});
+
+app.get('/profile', (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/login');
+    }
+    res.render('profile', { user: req.session.user });
+});
+
+// Join a team with the logged in user's profile and say where to go next
+async function joinWithInvite(req, token) {
+    try {
+        const { pending } = await TeamManager.joinTeamWithInvite(
+            token,
+            req.session.user.id,
+            {
+                name: req.session.user.user_metadata.name,
+                email: req.session.user.email
+            }
+        );
+        return pending ? '/?message=join_requested' : '/?message=team_joined';
+    } catch (error) {
+        return `/?error=${encodeURIComponent(error.message)}`;
+    }
+}
+
+// After logging in or registering, finish joining the team whose invite
+// brought the user here
+async function redirectAfterAuth(req, res) {
+    const token = req.session.pendingInvite;
+    if (!token) {
+        return res.redirect('/');
+    }
+
+    delete req.session.pendingInvite;
+    res.redirect(await joinWithInvite(req, token));
+}
+
 // Auth routes
 app.post('/auth/register', async (req, res) => {
     const { email, password, name } = req.body;
     try {
-        const { data, error } = await supabase.auth.signUp({
-            email,
-            password
-            ,
-            options: {
-                data: {
-                    name: name
-                }
-            }
-        });
-
-        if (error) throw error;
+        const { user, session } = await auth.register({ email, password, name });
 
-        req.session.user = data.user;
-        res.redirect('/');
+        req.session.user = user;
+        req.session.authSession = session;
+        await redirectAfterAuth(req, res);
     } catch (error) {
         res.render('register', { error: error.message });
     }
@@ -67,26 +160,71 @@ app.post('/auth/register', async (req, res) => {
 app.post('/auth/login', async (req, res) => {
     const { email, password } = req.body;
     try {
-        const { data, error } = await supabase.auth.signInWithPassword({
-            email,
-            password
-        });
-
-        if (error) throw error;
+        const { user, session } = await auth.login({ email, password });
 
-        req.session.user = data.user;
-        res.redirect('/');
+        req.session.user = user;
+        req.session.authSession = session;
+        await redirectAfterAuth(req, res);
     } catch (error) {
         res.render('login', { error: error.message });
     }
 });
 
 app.get('/auth/logout', async (req, res) => {
-    await supabase.auth.signOut();
+    try {
+        await auth.logout(req.session.authSession);
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
     req.session.destroy();
     res.redirect('/');
 });
 
+// Send a password reset link. The answer is the same whether or not the
+// email has an account.
+app.post('/auth/forgot-password', async (req, res) => {
+    try {
+        await auth.requestPasswordReset(req.body.email, `${appUrl()}/reset-password`);
+        res.render('forgot-password', { message: 'If an account exists for that email, a reset link is on its way.' });
+    } catch (error) {
+        res.render('forgot-password', { error: error.message });
+    }
+});
+
+app.post('/auth/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+    try {
+        await auth.resetPassword(token, password);
+        res.render('login', { message: 'Your password has been changed. Please log in.' });
+    } catch (error) {
+        res.render('reset-password', { token, error: error.message });
+    }
+});
+
+// Change the logged in user's name, email or password. Teams they are in
+// show the new name and email.
+app.post('/auth/profile', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/login');
+    }
+
+    const { name, email, password, currentPassword } = req.body;
+    try {
+        const { user, session } = await auth.updateProfile(
+            req.session.user,
+            req.session.authSession,
+            { name, email, password, currentPassword }
+        );
+        await TeamManager.updateMemberProfile(user.id, { name: user.user_metadata.name, email: user.email });
+
+        req.session.user = user;
+        req.session.authSession = session;
+        res.render('profile', { user, message: 'Your profile has been updated.' });
+    } catch (error) {
+        res.render('profile', { user: req.session.user, error: error.message });
+    }
+});
+
 
 // Team routes
 // Update these existing routes to include user profile info
@@ -102,7 +240,8 @@ app.post('/api/teams', async (req, res) => {
             {
                 name: req.session.user.user_metadata.name,
                 email: req.session.user.email
-            }
+            },
+            req.body.baseCurrency
         );
         res.json({ id: teamId });
     } catch (error) {
@@ -124,49 +263,74 @@ app.get('/api/teams', async (req, res) => {
     }
 });
 
-app.post('/api/teams/:teamId/invite', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
+function inviteLinkFor(token) {
+    return `${appUrl()}/join-team/${token}`;
+}
+
+// Create an invite link. Optional: expiresInDays, maxUses (1 for a single-use
+// link) and email to only let that address join.
+app.post('/api/teams/:teamId/invite', requireTeamPermission('members:invite'), async (req, res) => {
+    const { expiresInDays, maxUses, email } = req.body;
 
     try {
-        const token = await TeamManager.generateInviteLink(
+        const { token, ...invitation } = await TeamManager.generateInviteLink(
             req.params.teamId,
-            req.session.user.id
+            req.session.user.id,
+            { expiresInDays, maxUses, email }
         );
-        const inviteLink = `${process.env.APP_URL || 'http://localhost:3000'}/join-team/${token}`;
-        res.json({ inviteLink });
+        res.json({ inviteLink: inviteLinkFor(token), ...invitation });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-app.get('/join-team/:token', async (req, res) => {
-    if (!req.session.user) {
-        req.session.pendingInvite = req.params.token;
-        return res.redirect('/');
+// List a team's invites and who joined through them
+app.get('/api/teams/:teamId/invitations', requireTeamPermission('members:invite'), async (req, res) => {
+    try {
+        const invitations = await TeamManager.getTeamInvitations(req.params.teamId);
+        res.json(invitations.map(({ token, ...invitation }) => ({ ...invitation, inviteLink: inviteLinkFor(token) })));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
+// Revoke an invite
+app.delete('/api/teams/:teamId/invitations/:invitationId', requireTeamPermission('members:invite'), async (req, res) => {
     try {
-        await TeamManager.joinTeamWithInvite(
-            req.params.token,
-            req.session.user.id,
-            {
-                name: req.session.user.user_metadata.name,
-                email: req.session.user.email
-            }
-        );
-        res.redirect('/?message=team_joined');
+        await TeamManager.revokeInvitation(req.params.teamId, req.params.invitationId, req.session.user.id);
+        res.json({ success: true });
     } catch (error) {
-        res.redirect(`/?error=${encodeURIComponent(error.message)}`);
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.delete('/api/teams/:teamId', async (req, res) => {
+// Invite landing page showing the team and who sent the invite. Visitors who
+// are logged out log in or register first and join right after.
+app.get('/join-team/:token', async (req, res) => {
+    let invitation = null;
+    let error = null;
+    try {
+        invitation = await TeamManager.getInvitationPreview(req.params.token);
+    } catch (err) {
+        error = err.message;
+    }
+
+    if (invitation && !req.session.user) {
+        req.session.pendingInvite = req.params.token;
+    }
+    res.render('invite', { user: req.session.user, token: req.params.token, invitation, error });
+});
+
+// Accept an invite
+app.post('/join-team/:token', async (req, res) => {
     if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+        return res.redirect(`/join-team/${encodeURIComponent(req.params.token)}`);
     }
 
+    res.redirect(await joinWithInvite(req, req.params.token));
+});
+
+app.delete('/api/teams/:teamId', requireTeamPermission('team:delete'), async (req, res) => {
     try {
         await TeamManager.deleteTeam(req.params.teamId, req.session.user.id);
         res.json({ success: true });
@@ -175,27 +339,47 @@ app.delete('/api/teams/:teamId', async (req, res) => {
     }
 });
 
-// Add this new endpoint for leaving a team
-app.post('/api/teams/:teamId/leave', async (req, res) => {
+// Get the deleted teams the user can restore
+app.get('/api/trash/teams', async (req, res) => {
     if (!req.session.user) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
 
     try {
-        await TeamManager.leaveTeam(req.params.teamId, req.session.user.id);
-        res.json({ success: true });
+        const teams = await TeamManager.getDeletedTeams(req.session.user.id);
+        res.json(teams);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-// Set contribution amount for team
-app.post('/api/teams/:teamId/contribution', async (req, res) => {
+// Restore a deleted team
+app.post('/api/trash/teams/:teamId/restore', async (req, res) => {
     if (!req.session.user) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const { amount } = req.body;
+    try {
+        await TeamManager.restoreTeam(req.params.teamId, req.session.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Add this new endpoint for leaving a team
+app.post('/api/teams/:teamId/leave', async (req, res) => {
+    try {
+        await TeamManager.leaveTeam(req.params.teamId, req.session.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Set contribution amount for team
+app.post('/api/teams/:teamId/contribution', requireTeamPermission('contributions:manage'), async (req, res) => {
+    const { amount, frequency, intervalDays, startDate, dueDays } = req.body;
     if (!amount || isNaN(amount) || amount <= 0) {
         return res.status(400).json({ error: 'Invalid contribution amount' });
     }
@@ -204,7 +388,8 @@ app.post('/api/teams/:teamId/contribution', async (req, res) => {
         await TeamManager.setContributionAmount(
             req.params.teamId,
             req.session.user.id,
-            parseFloat(amount)
+            parseFloat(amount),
+            { frequency, intervalDays, startDate, dueDays }
         );
         res.json({ success: true });
     } catch (error) {
@@ -213,11 +398,7 @@ app.post('/api/teams/:teamId/contribution', async (req, res) => {
 });
 
 // Update member payment status
-app.post('/api/teams/:teamId/members/:memberId/payment', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-
+app.post('/api/teams/:teamId/members/:memberId/payment', requireTeamPermission('contributions:manage'), async (req, res) => {
     const { hasPaid } = req.body;
     try {
         await TeamManager.updatePaymentStatus(
@@ -232,12 +413,126 @@ app.post('/api/teams/:teamId/members/:memberId/payment', async (req, res) => {
     }
 });
 
-// Get team contribution details
-app.get('/api/teams/:teamId/contribution', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// Record a full or partial contribution payment for a member
+app.post('/api/teams/:teamId/members/:memberId/contributions', requireTeamPermission('contributions:manage'), async (req, res) => {
+    const { amount, periodId, note, paidAt } = req.body;
+    if (!amount || isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Invalid payment amount' });
     }
 
+    try {
+        const paymentId = await TeamManager.recordContributionPayment(
+            req.params.teamId,
+            req.params.memberId,
+            parseFloat(amount),
+            req.session.user.id,
+            { periodId, note, paidAt }
+        );
+        res.json({ id: paymentId });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a contribution payment
+app.delete('/api/teams/:teamId/contributions/payments/:paymentId', requireTeamPermission('contributions:manage'), async (req, res) => {
+    try {
+        await TeamManager.deleteContributionPayment(
+            req.params.teamId,
+            req.params.paymentId,
+            req.session.user.id
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Turn approval of new members on or off
+app.put('/api/teams/:teamId/approval', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        await TeamManager.setRequiresApproval(req.params.teamId, req.session.user.id, req.body.requiresApproval);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// List join requests; ?status=pending (default), approved, rejected or all
+app.get('/api/teams/:teamId/join-requests', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        const requests = await TeamManager.getJoinRequests(req.params.teamId, { status: req.query.status || undefined });
+        res.json(requests);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Approve a join request, adding the person to the team
+app.post('/api/teams/:teamId/join-requests/:requestId/approve', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        await TeamManager.decideJoinRequest(req.params.teamId, req.params.requestId, req.session.user.id, true);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Reject a join request
+app.post('/api/teams/:teamId/join-requests/:requestId/reject', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        await TeamManager.decideJoinRequest(req.params.teamId, req.params.requestId, req.session.user.id, false);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a member. Anything they still owe or are owed stays on the books.
+app.delete('/api/teams/:teamId/members/:memberId', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        const balance = await TeamManager.removeMember(req.params.teamId, req.params.memberId, req.session.user.id);
+        res.json({ success: true, balance });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Change a member's role
+app.put('/api/teams/:teamId/members/:memberId/role', requireTeamPermission('members:manage'), async (req, res) => {
+    try {
+        await TeamManager.updateMemberRole(
+            req.params.teamId,
+            req.params.memberId,
+            req.body.role,
+            req.session.user.id
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Transfer team ownership to another member
+app.post('/api/teams/:teamId/transfer-ownership', requireTeamPermission('team:transfer'), async (req, res) => {
+    if (!req.body.memberId) {
+        return res.status(400).json({ error: 'memberId is required' });
+    }
+
+    try {
+        await TeamManager.transferOwnership(
+            req.params.teamId,
+            req.body.memberId,
+            req.session.user.id
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get team contribution details
+app.get('/api/teams/:teamId/contribution', async (req, res) => {
     try {
         const details = await TeamManager.getTeamContributionDetails(req.params.teamId);
         res.json(details);
@@ -247,10 +542,6 @@ app.get('/api/teams/:teamId/contribution', async (req, res) => {
 });
 // Add this route to your app.js
 app.get('/api/teams/:teamId/members', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     try {
         const teamDetails = await TeamManager.getTeamDetails(req.params.teamId);
         res.json(teamDetails);
@@ -262,16 +553,24 @@ app.get('/api/teams/:teamId/members', async (req, res) => {
 // Expense routes - Add these to your existing Express app
 
 // Create a new expense
-app.post('/api/teams/:teamId/expenses', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
+app.post('/api/teams/:teamId/expenses', requireTeamPermission('expenses:write'), async (req, res) => {
+    const { description, amount, expenseDate, memberIds, paidBy, splitMode, splits, currency, category, tags } = req.body;
 
-    const { description, amount, expenseDate, memberIds } = req.body;
+    // Equal splits only need memberIds, the other modes send a value per member in splits
+    const participants = splits || memberIds;
 
-    if (!description || !amount || !expenseDate || !memberIds || !Array.isArray(memberIds)) {
+    if (!description || !amount || !expenseDate || !participants || !Array.isArray(participants)) {
         return res.status(400).json({ error: 'Missing or invalid required fields' });
     }
+    if (!Number.isFinite(Number(amount))) {
+        return res.status(400).json({ error: 'Amount must be a number' });
+    }
+    if (!isValidDate(expenseDate)) {
+        return res.status(400).json({ error: 'Expense date must be a valid YYYY-MM-DD date' });
+    }
+
+    // A single payer can be given as paidBy instead of a payers list
+    const payers = req.body.payers || (paidBy ? [{ userId: paidBy, amount }] : []);
 
     try {
         const expenseId = await TeamManager.createExpense(
@@ -279,37 +578,79 @@ app.post('/api/teams/:teamId/expenses', async (req, res) => {
             description,
             parseFloat(amount),
             new Date(expenseDate),
-            memberIds
+            participants,
+            payers,
+            splitMode || 'equal',
+            currency,
+            { category, tags },
+            req.session.user.id
         );
         res.json({ id: expenseId });
+    } catch (error) {
+        res.status(400).json({ error: error.message, ...(error.invalidIds && { invalid_ids: error.invalidIds }) });
+    }
+});
+
+// Import expenses from CSV text. Send dryRun to preview the rows and their
+// errors without saving anything.
+app.post('/api/teams/:teamId/expenses/import', requireTeamPermission('expenses:write'), async (req, res) => {
+    const { csv, format, mapping, dateFormat, dryRun } = req.body;
+    if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({ error: 'Missing CSV data' });
+    }
+
+    try {
+        const result = await TeamManager.importExpenses(req.params.teamId, csv, {
+            format,
+            mapping,
+            dateFormat,
+            dryRun
+        }, req.session.user.id);
+        const failed = result.errors.length > 0 || result.rows.some(row => row.status === 'error');
+        res.status(failed && !result.dry_run ? 400 : 200).json(result);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-// Get all expenses for a team
+// Get a team's expenses. Query parameters filter, sort and page the list (see search.js)
 app.get('/api/teams/:teamId/expenses', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+    try {
+        const expenses = await TeamManager.getTeamExpenses(req.params.teamId, req.query);
+        res.json(expenses);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
+// Get expense summary for a team (registered before :expenseId so it isn't matched as an id)
+app.get('/api/teams/:teamId/expenses/summary', async (req, res) => {
     try {
-        const expenses = await TeamManager.getTeamExpenses(req.params.teamId);
-        res.json(expenses);
+        const summary = await TeamManager.getTeamExpensesSummary(req.params.teamId);
+        res.json(summary);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-// Get a specific expense
-app.get('/api/teams/:teamId/expenses/:expenseId', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// Get spending by category, tag, member and month, optionally between two dates
+app.get('/api/teams/:teamId/expenses/report', async (req, res) => {
+    try {
+        const report = await TeamManager.getTeamExpenseReport(req.params.teamId, {
+            from: req.query.from,
+            to: req.query.to
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
+// Get a specific expense
+app.get('/api/teams/:teamId/expenses/:expenseId', requireTeamExpense, async (req, res) => {
     try {
-        const expense = await TeamManager.getExpense(req.params.expenseId);
-        if (!expense || expense.team_id !== req.params.teamId) {
+        const expense = await TeamManager.getExpense(req.params.teamId, req.params.expenseId);
+        if (!expense) {
             return res.status(404).json({ error: 'Expense not found' });
         }
         res.json(expense);
@@ -319,54 +660,341 @@ app.get('/api/teams/:teamId/expenses/:expenseId', async (req, res) => {
 });
 
 // Update an expense
-app.put('/api/teams/:teamId/expenses/:expenseId', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
+app.put('/api/teams/:teamId/expenses/:expenseId', requireTeamPermission('expenses:write'), requireTeamExpense, async (req, res) => {
+    const { description, amount, expenseDate, memberIds, paidBy, splitMode, splits, currency, category, tags } = req.body;
 
-    const { description, amount, expenseDate, memberIds } = req.body;
+    // Equal splits only need memberIds, the other modes send a value per member in splits
+    const participants = splits || memberIds;
 
-    if (!description || !amount || !expenseDate || !memberIds || !Array.isArray(memberIds)) {
+    if (!description || !amount || !expenseDate || !participants || !Array.isArray(participants)) {
         return res.status(400).json({ error: 'Missing or invalid required fields' });
     }
+    if (!Number.isFinite(Number(amount))) {
+        return res.status(400).json({ error: 'Amount must be a number' });
+    }
+    if (!isValidDate(expenseDate)) {
+        return res.status(400).json({ error: 'Expense date must be a valid YYYY-MM-DD date' });
+    }
+
+    // A single payer can be given as paidBy instead of a payers list
+    const payers = req.body.payers || (paidBy ? [{ userId: paidBy, amount }] : []);
 
     try {
         await TeamManager.updateExpense(
+            req.params.teamId,
             req.params.expenseId,
             description,
             parseFloat(amount),
             new Date(expenseDate),
-            memberIds
+            participants,
+            payers,
+            splitMode || 'equal',
+            currency,
+            // Leaving category or tags out keeps the expense's current ones
+            { category, tags },
+            req.session.user.id
         );
         res.json({ success: true });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        res.status(400).json({ error: error.message, ...(error.invalidIds && { invalid_ids: error.invalidIds }) });
     }
 });
 
 // Delete an expense
-app.delete('/api/teams/:teamId/expenses/:expenseId', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+app.delete('/api/teams/:teamId/expenses/:expenseId', requireTeamPermission('expenses:write'), requireTeamExpense, async (req, res) => {
+    try {
+        await TeamManager.deleteExpense(req.params.teamId, req.params.expenseId, req.session.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
+// Get a team's deleted expenses
+app.get('/api/teams/:teamId/trash', async (req, res) => {
     try {
-        await TeamManager.deleteExpense(req.params.expenseId);
+        const trash = await TeamManager.getTeamTrash(req.params.teamId);
+        res.json(trash);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Restore a deleted expense
+app.post('/api/teams/:teamId/trash/expenses/:expenseId/restore', requireTeamPermission('expenses:write'), async (req, res) => {
+    try {
+        await TeamManager.restoreExpense(req.params.teamId, req.params.expenseId, req.session.user.id);
         res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-// Get expense summary for a team
-app.get('/api/teams/:teamId/expenses/summary', async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// List an expense's receipts
+app.get('/api/teams/:teamId/expenses/:expenseId/receipts', requireTeamExpense, async (req, res) => {
+    try {
+        const receipts = await TeamManager.getExpenseReceipts(req.params.teamId, req.params.expenseId);
+        res.json(receipts);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
+});
 
+// Upload a receipt (JPEG, PNG, GIF, WebP or PDF) as the "receipt" field
+app.post('/api/teams/:teamId/expenses/:expenseId/receipts', requireTeamPermission('expenses:write'), requireTeamExpense, uploadReceipt, async (req, res) => {
     try {
-        const summary = await TeamManager.getTeamExpensesSummary(req.params.teamId);
-        res.json(summary);
+        const receipt = await TeamManager.addReceipt(
+            req.params.teamId,
+            req.params.expenseId,
+            req.session.user.id,
+            req.file
+        );
+        res.json(receipt);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Download a receipt
+app.get('/api/teams/:teamId/expenses/:expenseId/receipts/:receiptId', requireTeamExpense, async (req, res) => {
+    try {
+        const receipt = await TeamManager.getReceipt(req.params.teamId, req.params.expenseId, req.params.receiptId);
+        if (!receipt) {
+            return res.status(404).json({ error: 'Receipt not found' });
+        }
+
+        res.attachment(receipt.original_name);
+        res.type(receipt.mime_type);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.sendFile(receipt.path, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'Receipt file is missing' });
+            }
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete a receipt
+app.delete('/api/teams/:teamId/expenses/:expenseId/receipts/:receiptId', requireTeamPermission('expenses:write'), requireTeamExpense, async (req, res) => {
+    try {
+        await TeamManager.deleteReceipt(
+            req.params.teamId,
+            req.params.expenseId,
+            req.params.receiptId,
+            req.session.user.id
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get each member's net balance for a team
+app.get('/api/teams/:teamId/balances', async (req, res) => {
+    try {
+        const balances = await TeamManager.getTeamBalances(req.params.teamId);
+        res.json(balances);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get the transfers needed to settle up a team
+app.get('/api/teams/:teamId/settlements', async (req, res) => {
+    try {
+        const settlements = await TeamManager.getTeamSettlements(req.params.teamId);
+        res.json(settlements);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get the team's activity log, newest first. Query parameters: before (the
+// id of the oldest entry already shown), limit, entityType and entityId.
+app.get('/api/teams/:teamId/activity', async (req, res) => {
+    try {
+        const activity = await TeamManager.getTeamActivity(req.params.teamId, {
+            before: req.query.before,
+            limit: req.query.limit,
+            entityType: req.query.entityType,
+            entityId: req.query.entityId
+        });
+        res.json(activity);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get the team fund ledger with a running balance
+app.get('/api/teams/:teamId/ledger', async (req, res) => {
+    try {
+        const ledger = await TeamManager.getTeamLedger(req.params.teamId);
+        res.json(ledger);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Export a team's expenses, contribution status and balances. JSON includes
+// every section; CSV returns one section per file.
+app.get('/api/teams/:teamId/export', async (req, res) => {
+    const { format = 'json', section, from, to } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid export format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (section && !EXPORT_SECTIONS.includes(section)) {
+        return res.status(400).json({ error: `Invalid export section. Use one of: ${EXPORT_SECTIONS.join(', ')}` });
+    }
+
+    try {
+        const data = await TeamManager.getTeamExport(req.params.teamId, { from, to });
+
+        if (format === 'json') {
+            return res.json(section
+                ? { team: data.team, range: data.range, generated_at: data.generated_at, [section]: data[section] }
+                : data);
+        }
+
+        const csvSection = section || 'expenses';
+        const filename = [data.team.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase(), csvSection, from, to]
+            .filter(Boolean)
+            .join('_');
+        res.attachment(`${filename}.csv`);
+        res.type('text/csv');
+        res.send(exportSectionToCSV(data, csvSection));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Change the currency a team reports in
+app.put('/api/teams/:teamId/currency', requireTeamPermission('currency:manage'), async (req, res) => {
+    try {
+        await TeamManager.setBaseCurrency(
+            req.params.teamId,
+            req.session.user.id,
+            req.body.baseCurrency
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get a team's exchange rates
+app.get('/api/teams/:teamId/exchange-rates', async (req, res) => {
+    try {
+        const rates = await TeamManager.getExchangeRates(req.params.teamId);
+        res.json(rates);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Add exchange rates: a single { from, to, rate, date }, a list of them in
+// rates, or CSV text with from, to, rate and date columns
+app.post('/api/teams/:teamId/exchange-rates', requireTeamPermission('currency:manage'), async (req, res) => {
+    try {
+        const { rates, csv } = req.body;
+        const entries = csv ? parseRatesCSV(csv) : rates || [req.body];
+
+        const count = await TeamManager.addExchangeRates(
+            req.params.teamId,
+            req.session.user.id,
+            entries
+        );
+        res.json({ added: count });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove an exchange rate
+app.delete('/api/teams/:teamId/exchange-rates/:rateId', requireTeamPermission('currency:manage'), async (req, res) => {
+    try {
+        await TeamManager.deleteExchangeRate(
+            req.params.teamId,
+            req.params.rateId,
+            req.session.user.id
+        );
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get the expense categories a team can use
+app.get('/api/teams/:teamId/categories', async (req, res) => {
+    try {
+        const categories = await TeamManager.getCategories(req.params.teamId);
+        res.json(categories);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Add a category of the team's own
+app.post('/api/teams/:teamId/categories', requireTeamPermission('categories:manage'), async (req, res) => {
+    if (!req.body.name) {
+        return res.status(400).json({ error: 'Category name is required' });
+    }
+
+    try {
+        const name = await TeamManager.addCategory(req.params.teamId, req.session.user.id, req.body.name);
+        res.json({ name });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a category no expense uses any more
+app.delete('/api/teams/:teamId/categories/:name', requireTeamPermission('categories:manage'), async (req, res) => {
+    try {
+        await TeamManager.deleteCategory(req.params.teamId, req.params.name, req.session.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get the tags used on a team's expenses
+app.get('/api/teams/:teamId/tags', async (req, res) => {
+    try {
+        const tags = await TeamManager.getTeamTags(req.params.teamId);
+        res.json(tags);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Record a refund or adjustment to the team fund
+app.post('/api/teams/:teamId/ledger/transactions', requireTeamPermission('fund:manage'), async (req, res) => {
+    const { type, amount, description, memberId, date } = req.body;
+
+    try {
+        const transactionId = await TeamManager.addFundTransaction(
+            req.params.teamId,
+            req.session.user.id,
+            { type, amount: parseFloat(amount), description, memberId, date }
+        );
+        res.json({ id: transactionId });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a refund or adjustment
+app.delete('/api/teams/:teamId/ledger/transactions/:transactionId', requireTeamPermission('fund:manage'), async (req, res) => {
+    try {
+        await TeamManager.deleteFundTransaction(
+            req.params.teamId,
+            req.params.transactionId,
+            req.session.user.id
+        );
+        res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
@@ -374,6 +1002,29 @@ app.get('/api/teams/:teamId/expenses/summary', async (req, res) => {
 
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+
+// Permanently remove whatever has been in the trash past the retention period
+function purgeTrash() {
+    TeamManager.purgeTrash()
+        .then(({ expenses, teams }) => {
+            if (expenses || teams) {
+                console.log(`Purged ${expenses} expense(s) and ${teams} team(s) from the trash`);
+            }
+        })
+        .catch(error => console.error('Could not purge the trash:', error));
+}
+
+// Bring the database schema up to date before taking requests
+prepareDatabase({ log: console.log })
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server running on port ${PORT}`);
+        });
+
+        purgeTrash();
+        setInterval(purgeTrash, PURGE_INTERVAL_MS).unref();
+    })
+    .catch(error => {
+        console.error('Could not prepare the database:', error);
+        process.exit(1);
+    });
\ No newline at end of file
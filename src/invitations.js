@@ -0,0 +1,67 @@
+// invitations.js
+// An invite link lasts a week unless the inviter picks another expiry. It can
+// be limited to a number of uses (1 for a single-use link) and to one email
+// address. Links without a limit can be used until they expire or are revoked.
+
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 90;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+function parseWholeNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(max === Infinity
+      ? `${name} must be a whole number of ${min} or more`
+      : `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Emails are compared without regard to case
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Check an email address someone typed in and return it normalized
+function checkEmail(email) {
+  const normalized = normalizeEmail(email ?? '');
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new Error('Invalid email address');
+  }
+  return normalized;
+}
+
+// Check the options for a new invite and fill in defaults
+function parseInviteOptions({ expiresInDays, maxUses, email } = {}, now = new Date()) {
+  const days = isBlank(expiresInDays)
+    ? DEFAULT_INVITE_DAYS
+    : parseWholeNumber(expiresInDays, 'expiresInDays', 1, MAX_INVITE_DAYS);
+  const expiresAt = new Date(now.getTime());
+  expiresAt.setDate(expiresAt.getDate() + days);
+
+  return {
+    expiresAt: expiresAt.toISOString(),
+    maxUses: isBlank(maxUses) ? null : parseWholeNumber(maxUses, 'maxUses', 1, Infinity),
+    email: isBlank(email) ? null : checkEmail(email)
+  };
+}
+
+// Whether an invite can still be used, as shown when listing a team's invites
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= now) return 'expired';
+  if (invitation.max_uses !== null && invitation.use_count >= invitation.max_uses) return 'used';
+  return 'active';
+}
+
+module.exports = {
+  DEFAULT_INVITE_DAYS,
+  MAX_INVITE_DAYS,
+  normalizeEmail,
+  checkEmail,
+  parseInviteOptions,
+  invitationStatus
+};
@@ -0,0 +1,75 @@
+// ledger.js
+const { toCents, fromCents } = require('./money');
+const { toDateString } = require('./dates');
+
+const FUND_TRANSACTION_TYPES = ['refund', 'adjustment'];
+
+// Order of entries that fall on the same day: money coming in is listed
+// before money going out
+const TYPE_ORDER = { contribution: 0, adjustment: 1, expense: 2, refund: 3 };
+
+// Every movement of money in and out of the team fund, oldest first, with the
+// balance after each one. Only expenses paid out of the fund move money;
+// expenses paid by members are settled between members and are left out.
+// Entries converted from another currency carry their original amount.
+function buildLedger({ contributions, expenses, fundTransactions }) {
+  const entries = [
+    ...contributions.map(payment => ({
+      type: 'contribution',
+      id: payment.id,
+      date: toDateString(payment.paid_at),
+      description: payment.note || 'Contribution',
+      user_id: payment.user_id,
+      name: payment.name,
+      cents: toCents(payment.amount),
+      original: payment.original || null
+    })),
+    ...expenses.map(expense => ({
+      type: 'expense',
+      id: expense.id,
+      date: toDateString(expense.expense_date),
+      description: expense.description,
+      user_id: null,
+      name: null,
+      cents: -toCents(expense.amount),
+      original: expense.original || null
+    })),
+    ...fundTransactions.map(transaction => ({
+      type: transaction.type,
+      id: transaction.id,
+      date: toDateString(transaction.transaction_date),
+      description: transaction.description || (transaction.type === 'refund' ? 'Refund' : 'Adjustment'),
+      user_id: transaction.user_id,
+      name: transaction.name,
+      cents: toCents(transaction.amount),
+      original: transaction.original || null
+    }))
+  ];
+
+  entries.sort((a, b) =>
+    (a.date || '').localeCompare(b.date || '')
+    || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]
+    || a.id - b.id);
+
+  const totals = { contribution: 0, expense: 0, refund: 0, adjustment: 0 };
+  let balance = 0;
+
+  const ledger = entries.map(({ cents, ...entry }) => {
+    balance += cents;
+    totals[entry.type] += cents;
+    return { ...entry, amount: fromCents(cents), balance: fromCents(balance) };
+  });
+
+  return {
+    entries: ledger,
+    totals: {
+      contributions: fromCents(totals.contribution),
+      expenses: fromCents(-totals.expense),
+      refunds: fromCents(-totals.refund),
+      adjustments: fromCents(totals.adjustment)
+    },
+    funds_remaining: fromCents(balance)
+  };
+}
+
+module.exports = { FUND_TRANSACTION_TYPES, buildLedger };
@@ -0,0 +1,128 @@
+// localAuth.js
+// Auth provider that keeps accounts in the app's own database, so the app can
+// run without Supabase. Passwords are hashed with scrypt and a random salt.
+// There is no mail service, so reset links go to the sendResetLink function
+// given. Without one, password resets are refused, unless LOG_RESET_LINKS=true
+// is set to write the links to the server log while developing. Anyone who
+// can read that log could use them.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { UserManager } = require('./db');
+const { checkEmail, normalizeEmail } = require('./invitations');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function checkName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Name is required');
+  }
+  return trimmed;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split(':');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the email is unknown, so a login takes as long either way
+const unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const toSessionUser = user => ({ id: user.id, email: user.email, user_metadata: { name: user.name } });
+
+function logResetLink(email, link) {
+  console.log(`Password reset link for ${email}: ${link}`);
+}
+
+function createLocalProvider({ sendResetLink = process.env.LOG_RESET_LINKS === 'true' ? logResetLink : null } = {}) {
+  return {
+    async register({ email, password, name }) {
+      const user = await UserManager.createUser({
+        email: checkEmail(email),
+        name: checkName(name),
+        passwordHash: await hashPassword(checkPassword(password))
+      });
+      return { user: toSessionUser(user), session: null };
+    },
+
+    async login({ email, password }) {
+      const user = await UserManager.getUserByEmail(normalizeEmail(email ?? ''));
+      const valid = await verifyPassword(password ?? '', user ? user.password_hash : await unknownUserHash);
+      if (!user || !valid) {
+        throw new Error('Invalid login credentials');
+      }
+      return { user: toSessionUser(user), session: null };
+    },
+
+    // Nothing is kept outside the app's own session
+    async logout() {},
+
+    // Unknown emails are ignored so the form does not reveal who has an account
+    async requestPasswordReset(email, resetUrl) {
+      if (!sendResetLink) {
+        throw new Error('Password resets are not set up on this server. Please contact the administrator.');
+      }
+
+      const user = await UserManager.getUserByEmail(normalizeEmail(email ?? ''));
+      if (!user) return;
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+      await UserManager.createPasswordReset(user.id, hashToken(token), expiresAt);
+      await sendResetLink(user.email, `${resetUrl}?token=${token}`);
+    },
+
+    async resetPassword(token, password) {
+      checkPassword(password);
+      const userId = await UserManager.usePasswordReset(hashToken(token));
+      await UserManager.updateUser(userId, { passwordHash: await hashPassword(password) });
+    },
+
+    // Changing the email or password needs the current password
+    async updateProfile(user, session, { name, email, password, currentPassword }) {
+      const account = await UserManager.getUserById(user.id);
+      if (!account) {
+        throw new Error('Please log in again');
+      }
+
+      const newEmail = email ? checkEmail(email) : null;
+      if ((newEmail && newEmail !== account.email) || password) {
+        if (!await verifyPassword(currentPassword ?? '', account.password_hash)) {
+          throw new Error('Current password is incorrect');
+        }
+      }
+
+      const updated = await UserManager.updateUser(account.id, {
+        name: name ? checkName(name) : null,
+        email: newEmail,
+        passwordHash: password ? await hashPassword(checkPassword(password)) : null
+      });
+      return { user: toSessionUser(updated), session };
+    }
+  };
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, createLocalProvider };
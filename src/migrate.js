@@ -0,0 +1,160 @@
+// migrate.js
+// Schema changes are numbered migrations in src/migrations, named like
+// 001_fix_expense_id_types.js and exporting up() and down(). Each gets
+// { run, get, all } and runs in its own transaction. The applied versions are
+// recorded in schema_migrations. The tables db.js creates on load are the
+// baseline the migrations start from. They are for SQLite only; Postgres gets
+// its schema from postgres.js.
+//
+// From the command line:
+//   node src/migrate.js up [version]   apply pending migrations, up to version
+//   node src/migrate.js down [steps]   roll back the last steps (1) migrations
+//   node src/migrate.js status         list migrations and whether they ran
+
+const fs = require('fs');
+const path = require('path');
+const { createRepository } = require('./repository');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// The migrations on disk, oldest first
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file }))
+    .sort((a, b) => a.version - b.version)
+    .map(migration => ({ ...migration, ...require(path.join(MIGRATIONS_DIR, migration.file)) }));
+}
+
+async function prepare(db) {
+  // Statements db.js queued when it was loaded go first
+  await new Promise((resolve, reject) => {
+    db.serialize(() => db.run('SELECT 1', err => (err ? reject(err) : resolve())));
+  });
+
+  const q = createRepository(db);
+  await q.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  return q;
+}
+
+// Run one step in a transaction. Foreign keys are off meanwhile, as SQLite
+// recommends when rebuilding tables.
+async function runStep(q, step) {
+  const { foreign_keys: foreignKeys } = await q.get('PRAGMA foreign_keys');
+  await q.run('PRAGMA foreign_keys = OFF');
+  try {
+    await q.withTransaction(step);
+  } finally {
+    await q.run(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+}
+
+async function appliedVersions(q) {
+  const rows = await q.all('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+// Apply pending migrations in order, up to and including version if given.
+// Resolves with the migrations that ran.
+async function migrate(db, { to = Infinity, log = () => {} } = {}) {
+  const q = await prepare(db);
+  const applied = new Set(await appliedVersions(q));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+  for (const migration of pending) {
+    await runStep(q, async () => {
+      await migration.up(q);
+      await q.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    log(`Applied ${migration.file}`);
+  }
+  return pending;
+}
+
+// Roll back the most recently applied migrations, newest first
+async function rollback(db, { steps = 1, log = () => {} } = {}) {
+  const q = await prepare(db);
+  const migrations = loadMigrations();
+  const versions = (await appliedVersions(q)).reverse().slice(0, steps);
+
+  const rolledBack = [];
+  for (const version of versions) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} was applied but its file is missing`);
+    }
+
+    await runStep(q, async () => {
+      await migration.down(q);
+      await q.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    log(`Rolled back ${migration.file}`);
+    rolledBack.push(migration);
+  }
+  return rolledBack;
+}
+
+async function migrationStatus(db) {
+  const q = await prepare(db);
+  const applied = await q.all('SELECT version, applied_at FROM schema_migrations');
+  return loadMigrations().map(({ version, name, file }) => ({
+    version,
+    name,
+    file,
+    applied_at: applied.find(row => row.version === version)?.applied_at || null
+  }));
+}
+
+function parseCount(value, name, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a whole number of 1 or more`);
+  }
+  return number;
+}
+
+async function main([command = 'up', arg]) {
+  require('dotenv').config();
+  const { storage } = require('./db');
+  const { db } = storage;
+
+  try {
+    if (storage.dialect !== 'sqlite') {
+      throw new Error('Migrations are for SQLite; Postgres tables are created when the server starts');
+    }
+
+    if (command === 'up') {
+      const ran = await migrate(db, { to: parseCount(arg, 'version', Infinity), log: console.log });
+      if (ran.length === 0) console.log('Database is up to date');
+    } else if (command === 'down') {
+      const ran = await rollback(db, { steps: parseCount(arg, 'steps', 1), log: console.log });
+      if (ran.length === 0) console.log('No migrations to roll back');
+    } else if (command === 'status') {
+      (await migrationStatus(db)).forEach(migration => {
+        console.log(`${migration.applied_at ? `applied ${migration.applied_at}` : 'pending            '}  ${migration.file}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status`);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+// Exported before main runs, as the db.js it loads uses migrate
+module.exports = { migrate, rollback, migrationStatus };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
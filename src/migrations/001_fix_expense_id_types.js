@@ -0,0 +1,80 @@
+// Team and user ids are text (uuids and auth provider ids), but team_expenses
+// and expense_members declared them as INTEGER, and expense_members pointed at
+// a users table the app never had. SQLite cannot change a column's type, so
+// both tables are rebuilt and their rows copied over.
+
+const EXPENSE_COLUMNS = [
+  'id', 'team_id', 'description', 'amount', 'expense_date', 'created_at',
+  'split_mode', 'category', 'currency', 'deleted_at', 'deleted_by'
+].join(', ');
+
+const EXPENSE_MEMBER_COLUMNS = ['expense_id', 'user_id', 'team_id', 'split_value', 'amount_owed'].join(', ');
+
+const teamExpensesTable = (idType) => `CREATE TABLE team_expenses_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  team_id ${idType} NOT NULL,
+  description TEXT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  expense_date DATE NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  split_mode TEXT NOT NULL DEFAULT 'equal',
+  category TEXT,
+  currency TEXT,
+  deleted_at DATETIME,
+  deleted_by TEXT,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+)`;
+
+const EXPENSE_MEMBERS_TABLE = `CREATE TABLE expense_members_new (
+  expense_id INTEGER NOT NULL,
+  user_id TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  split_value DECIMAL(10,4),
+  amount_owed DECIMAL(10,2),
+  PRIMARY KEY (expense_id, user_id),
+  FOREIGN KEY (expense_id) REFERENCES team_expenses(id) ON DELETE CASCADE,
+  FOREIGN KEY (team_id, user_id) REFERENCES team_members(team_id, user_id),
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+)`;
+
+const OLD_EXPENSE_MEMBERS_TABLE = `CREATE TABLE expense_members_new (
+  expense_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  team_id INTEGER NOT NULL,
+  split_value DECIMAL(10,4),
+  amount_owed DECIMAL(10,2),
+  PRIMARY KEY (expense_id, user_id),
+  FOREIGN KEY (expense_id) REFERENCES team_expenses(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+)`;
+
+// Swap in the new definition of table, keeping its rows and, for
+// AUTOINCREMENT tables, the next id it would have handed out
+async function rebuild({ run, get }, table, createNew, columns, select = columns) {
+  const sequence = await get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]);
+
+  await run(createNew);
+  await run(`INSERT INTO ${table}_new (${columns}) SELECT ${select} FROM ${table}`);
+  await run(`DROP TABLE ${table}`);
+  await run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+
+  if (sequence) {
+    await run('UPDATE sqlite_sequence SET seq = ? WHERE name = ?', [sequence.seq, table]);
+  }
+}
+
+// Ids are copied as text, so an id stored as a number matches its string form
+const asText = columns => columns.replace(/\b(user_id|team_id)\b/g, 'CAST($1 AS TEXT)');
+
+async function up(q) {
+  await rebuild(q, 'team_expenses', teamExpensesTable('TEXT'), EXPENSE_COLUMNS, asText(EXPENSE_COLUMNS));
+  await rebuild(q, 'expense_members', EXPENSE_MEMBERS_TABLE, EXPENSE_MEMBER_COLUMNS, asText(EXPENSE_MEMBER_COLUMNS));
+}
+
+async function down(q) {
+  await rebuild(q, 'team_expenses', teamExpensesTable('INTEGER'), EXPENSE_COLUMNS);
+  await rebuild(q, 'expense_members', OLD_EXPENSE_MEMBERS_TABLE, EXPENSE_MEMBER_COLUMNS);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// money.js
+// Amounts are stored as DECIMAL but all arithmetic is done in integer cents
+// so that splits and balances always add up exactly.
+
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Split a total into equal parts, handing out any leftover cents one at a time
+// to the first entries so the parts always sum to the total.
+function splitEvenly(totalCents, count) {
+  if (count <= 0) return [];
+
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+
+  return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+// Split a total in proportion to the given weights. Every part is rounded down
+// and the leftover cents go to the parts with the largest remainders (earlier
+// entries win ties), so the parts always sum to the total.
+function allocate(totalCents, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weights.length === 0 || totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (totalCents * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  const leftover = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, i) => ({ i, remainder: value - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+    .slice(0, leftover)
+    .forEach(({ i }) => {
+      parts[i] += 1;
+    });
+
+  return parts;
+}
+
+module.exports = { toCents, fromCents, splitEvenly, allocate };
@@ -0,0 +1,29 @@
+// permissions.js
+
+// Team roles, from most to least privileged
+const ROLES = ['owner', 'admin', 'treasurer', 'member', 'viewer'];
+
+// Which roles may perform each action within a team
+const PERMISSIONS = {
+  'team:view': ['owner', 'admin', 'treasurer', 'member', 'viewer'],
+  'team:delete': ['owner'],
+  'team:transfer': ['owner'],
+  'members:invite': ['owner', 'admin'],
+  'members:manage': ['owner', 'admin'],
+  'contributions:manage': ['owner', 'admin', 'treasurer'],
+  'fund:manage': ['owner', 'admin', 'treasurer'],
+  'currency:manage': ['owner', 'admin', 'treasurer'],
+  'categories:manage': ['owner', 'admin', 'treasurer'],
+  'expenses:write': ['owner', 'admin', 'treasurer', 'member']
+};
+
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// The owner can manage anyone; everyone else only roles below their own
+function canManageRole(actorRole, targetRole) {
+  return actorRole === 'owner' || ROLES.indexOf(targetRole) > ROLES.indexOf(actorRole);
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission, canManageRole };
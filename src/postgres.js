@@ -0,0 +1,307 @@
+// postgres.js
+// Storage on Postgres; storage.js describes the interface. Queries are
+// written for SQLite as well, so ? placeholders become $1, $2, ..., INSERTs
+// return the new row so its id can be lastID, and values come back as SQLite
+// gives them: numbers as numbers, dates and times as UTC strings.
+//
+// Transactions take a connection of their own, which queries made while fn
+// runs use. As on SQLite they run one at a time, and at serializable
+// isolation so that several servers sharing a database cannot interleave
+// either; one that would fails instead.
+//
+// There are no migrations here. createSchema() makes any missing tables as
+// they are after the latest SQLite migration, so a change to the schema
+// needs a migration and a change to SCHEMA below. The triggers in it need
+// Postgres 14 or later, and test/postgres.test.js runs TeamManager against a
+// server when DATABASE_URL is set.
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool, types } = require('pg');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    created_by TEXT NOT NULL,
+    contribution_amount NUMERIC(10,2) DEFAULT 0,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    contribution_frequency TEXT NOT NULL DEFAULT 'once',
+    contribution_interval_days INTEGER,
+    contribution_start_date DATE,
+    contribution_due_days INTEGER NOT NULL DEFAULT 0,
+    base_currency TEXT NOT NULL DEFAULT '${DEFAULT_CURRENCY}',
+    deleted_at TIMESTAMP(0),
+    deleted_by TEXT,
+    requires_approval BOOLEAN NOT NULL DEFAULT FALSE
+  )`,
+  `CREATE TABLE IF NOT EXISTS team_members (
+    team_id TEXT REFERENCES teams(id),
+    user_id TEXT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    has_paid BOOLEAN DEFAULT FALSE,
+    joined_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    role TEXT NOT NULL DEFAULT 'member',
+    left_at TIMESTAMP(0),
+    removed_by TEXT,
+    PRIMARY KEY (team_id, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS team_invitations (
+    id TEXT PRIMARY KEY,
+    team_id TEXT REFERENCES teams(id),
+    token TEXT UNIQUE,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ,
+    created_by TEXT,
+    max_uses INTEGER,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    email TEXT,
+    revoked_at TIMESTAMP(0),
+    revoked_by TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS team_expenses (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    amount NUMERIC(10,2) NOT NULL,
+    expense_date DATE NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    split_mode TEXT NOT NULL DEFAULT 'equal',
+    category TEXT,
+    currency TEXT,
+    deleted_at TIMESTAMP(0),
+    deleted_by TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS expense_members (
+    expense_id INTEGER NOT NULL REFERENCES team_expenses(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    split_value NUMERIC(10,4),
+    amount_owed NUMERIC(10,2),
+    PRIMARY KEY (expense_id, user_id),
+    FOREIGN KEY (team_id, user_id) REFERENCES team_members(team_id, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS expense_payers (
+    expense_id INTEGER NOT NULL REFERENCES team_expenses(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    amount NUMERIC(10,2) NOT NULL,
+    PRIMARY KEY (expense_id, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS contribution_periods (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    due_date DATE NOT NULL,
+    amount NUMERIC(10,2) NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    currency TEXT,
+    UNIQUE (team_id, period_start)
+  )`,
+  `CREATE TABLE IF NOT EXISTS contribution_payments (
+    id SERIAL PRIMARY KEY,
+    period_id INTEGER NOT NULL REFERENCES contribution_periods(id) ON DELETE CASCADE,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    amount NUMERIC(10,2) NOT NULL,
+    note TEXT,
+    recorded_by TEXT,
+    paid_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    currency TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS fund_transactions (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    amount NUMERIC(10,2) NOT NULL,
+    description TEXT,
+    user_id TEXT,
+    transaction_date DATE NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    currency TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS exchange_rates (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    from_currency TEXT NOT NULL,
+    to_currency TEXT NOT NULL,
+    rate DOUBLE PRECISION NOT NULL,
+    effective_date DATE NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, from_currency, to_currency, effective_date)
+  )`,
+  `CREATE TABLE IF NOT EXISTS team_categories (
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, name)
+  )`,
+  `CREATE TABLE IF NOT EXISTS expense_tags (
+    expense_id INTEGER NOT NULL REFERENCES team_expenses(id) ON DELETE CASCADE,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (expense_id, tag)
+  )`,
+  `CREATE TABLE IF NOT EXISTS expense_receipts (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER NOT NULL REFERENCES team_expenses(id) ON DELETE CASCADE,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL UNIQUE,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploaded_by TEXT NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS activity_log (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    actor_id TEXT,
+    actor_name TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    changes TEXT NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS activity_log_team ON activity_log (team_id, id)',
+  `CREATE OR REPLACE FUNCTION activity_log_read_only() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'The activity log cannot be changed'; END
+  $$ LANGUAGE plpgsql`,
+  `CREATE OR REPLACE TRIGGER activity_log_read_only BEFORE UPDATE OR DELETE ON activity_log
+    FOR EACH ROW EXECUTE FUNCTION activity_log_read_only()`,
+  `CREATE TABLE IF NOT EXISTS invitation_uses (
+    invitation_id TEXT NOT NULL REFERENCES team_invitations(id) ON DELETE CASCADE,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    joined_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (invitation_id, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS join_requests (
+    id SERIAL PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    invitation_id TEXT REFERENCES team_invitations(id),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    decided_by TEXT,
+    decided_at TIMESTAMP(0)
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS join_requests_pending ON join_requests (team_id, user_id)
+    WHERE status = 'pending'`,
+  `CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS password_resets (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMP(0),
+    created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// Dates and times without a zone come back as stored. Those with one were
+// given as ISO strings and come back as ISO strings.
+const PARSERS = {
+  [types.builtins.INT8]: Number,
+  [types.builtins.NUMERIC]: Number,
+  [types.builtins.DATE]: value => value,
+  [types.builtins.TIMESTAMP]: value => value,
+  [types.builtins.TIMESTAMPTZ]: value => new Date(value).toISOString()
+};
+
+const getTypeParser = (oid, format) => PARSERS[oid] || types.getTypeParser(oid, format);
+
+// ? placeholders become $1, $2, ...; question marks in quoted strings stay
+function numberPlaceholders(sql) {
+  let count = 0;
+  return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++count}` : match));
+}
+
+// pg would send a Date in the server's local time, which a DATE column cuts
+// to the local day. SQLite keeps the instant and reads it back in UTC, so
+// dates are sent in UTC here too.
+const toParams = params => params.map(value => (value instanceof Date ? value.toISOString() : value));
+
+// An INSERT returns the rows it added, for lastID
+function withReturning(sql) {
+  return /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql) ? `${sql} RETURNING *` : sql;
+}
+
+function createPostgresStorage(connectionString) {
+  // Sessions are in UTC, as SQLite's CURRENT_TIMESTAMP is
+  const pool = new Pool({ connectionString, options: '-c TimeZone=UTC', types: { getTypeParser } });
+  const transaction = new AsyncLocalStorage();
+
+  // Settles once the transactions queued so far have finished
+  let queue = Promise.resolve();
+
+  function execute(sql, params = []) {
+    const open = transaction.getStore();
+    if (!open) {
+      return pool.query(numberPlaceholders(sql), toParams(params));
+    }
+
+    // A connection takes one query at a time, so queries fn starts together wait their turn
+    const result = open.pending.then(() => open.client.query(numberPlaceholders(sql), toParams(params)));
+    open.pending = result.then(() => {}, () => {});
+    return result;
+  }
+
+  function withTransaction(fn) {
+    if (transaction.getStore()) {
+      return fn();
+    }
+
+    const result = queue.then(async () => {
+      const client = await pool.connect();
+      try {
+        return await transaction.run({ client, pending: Promise.resolve() }, async () => {
+          await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+          try {
+            const value = await fn();
+            await client.query('COMMIT');
+            return value;
+          } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+          }
+        });
+      } finally {
+        client.release();
+      }
+    });
+
+    queue = result.then(() => {}, () => {});
+    return result;
+  }
+
+  return {
+    dialect: 'postgres',
+    get: (sql, params) => execute(sql, params).then(({ rows }) => rows[0]),
+    all: (sql, params) => execute(sql, params).then(({ rows }) => rows),
+    run: (sql, params) => execute(withReturning(sql), params)
+      .then(({ rows, rowCount }) => ({ lastID: rows[0]?.id, changes: rowCount })),
+    withTransaction,
+    // Create the tables that do not exist yet
+    createSchema: () => withTransaction(async () => {
+      for (const statement of SCHEMA) {
+        await execute(statement);
+      }
+    }),
+    close: () => pool.end()
+  };
+}
+
+module.exports = { createPostgresStorage };
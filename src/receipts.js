@@ -0,0 +1,84 @@
+// receipts.js
+// Receipt files are kept on local disk under a random name, so nothing a
+// client sends ends up in a path. The database keeps the original name and
+// type for downloads.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_RECEIPT_SIZE = 10 * 1024 * 1024;
+
+// Accepted types and the bytes their files start with. The type is taken from
+// the contents, not from what the browser claims.
+const RECEIPT_TYPES = {
+  'image/jpeg': { extension: '.jpg', signatures: [[0, [0xff, 0xd8, 0xff]]] },
+  'image/png': { extension: '.png', signatures: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  'image/gif': { extension: '.gif', signatures: [[0, Buffer.from('GIF8')]] },
+  'image/webp': { extension: '.webp', signatures: [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]] },
+  'application/pdf': { extension: '.pdf', signatures: [[0, Buffer.from('%PDF-')]] }
+};
+
+// Read when needed rather than at load, as .env is loaded after this module
+function receiptsDir() {
+  return process.env.RECEIPTS_DIR || path.join(__dirname, '..', 'uploads', 'receipts');
+}
+
+function detectReceiptType(buffer) {
+  return Object.keys(RECEIPT_TYPES).find(type => RECEIPT_TYPES[type].signatures.every(([offset, bytes]) =>
+    buffer.length >= offset + bytes.length
+    && Buffer.from(bytes).equals(buffer.subarray(offset, offset + bytes.length))
+  )) || null;
+}
+
+// Check an uploaded file and return its type
+function checkReceipt(file) {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new Error('No receipt file was uploaded');
+  }
+  if (file.buffer.length > MAX_RECEIPT_SIZE) {
+    throw new Error(`Receipts can be at most ${MAX_RECEIPT_SIZE / (1024 * 1024)} MB`);
+  }
+
+  const type = detectReceiptType(file.buffer);
+  if (!type) {
+    throw new Error('Receipts must be JPEG, PNG, GIF or WebP images, or PDF files');
+  }
+  return type;
+}
+
+// The name shown when downloading: no directories or control characters
+function cleanFileName(name, type) {
+  const cleaned = path.basename(String(name || '')).replace(/[\x00-\x1f\x7f"\\]/g, '').trim().slice(0, 200);
+  return cleaned || `receipt${RECEIPT_TYPES[type].extension}`;
+}
+
+async function saveReceiptFile(buffer, type) {
+  const fileName = `${uuidv4()}${RECEIPT_TYPES[type].extension}`;
+  await fs.promises.mkdir(receiptsDir(), { recursive: true });
+  await fs.promises.writeFile(path.join(receiptsDir(), fileName), buffer, { flag: 'wx' });
+  return fileName;
+}
+
+function receiptFilePath(fileName) {
+  return path.join(receiptsDir(), path.basename(fileName));
+}
+
+// Remove stored files. A file that is already gone is fine, and a file that
+// cannot be removed is logged rather than failing whatever deleted its record.
+async function removeReceiptFiles(fileNames) {
+  await Promise.all(fileNames.map(fileName => fs.promises.unlink(receiptFilePath(fileName)).catch(error => {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not remove receipt file ${fileName}:`, error);
+    }
+  })));
+}
+
+module.exports = {
+  MAX_RECEIPT_SIZE,
+  RECEIPT_TYPES,
+  checkReceipt,
+  cleanFileName,
+  saveReceiptFile,
+  receiptFilePath,
+  removeReceiptFiles
+};
@@ -0,0 +1,92 @@
+// reports.js
+const { toCents, fromCents } = require('./money');
+
+const UNCATEGORIZED = 'uncategorized';
+
+// Add an amount to the running totals for a key, creating them on first use
+function addTo(groups, key, cents, extra = {}) {
+  if (!groups.has(key)) {
+    groups.set(key, { ...extra, cents: 0, count: 0 });
+  }
+  const group = groups.get(key);
+  group.cents += cents;
+  group.count += 1;
+  return group;
+}
+
+// Largest first, and the share of the total each group makes up
+function ranked(groups, totalCents, keyName) {
+  return [...groups.entries()]
+    .map(([key, { cents, ...group }]) => ({
+      [keyName]: key,
+      ...group,
+      total: fromCents(cents),
+      share: totalCents > 0 ? Math.round((cents / totalCents) * 10000) / 100 : 0
+    }))
+    .sort((a, b) => b.total - a.total || String(a[keyName]).localeCompare(String(b[keyName])));
+}
+
+// Break spending down by category, tag, member and month. Expenses must
+// already be in one currency, with each participant's share and each payer's
+// amount filled in. A member's spending is their share of each expense, not
+// what they happened to pay.
+function buildExpenseReport(expenses) {
+  const byCategory = new Map();
+  const byTag = new Map();
+  const byMember = new Map();
+  const byMonth = new Map();
+  let totalCents = 0;
+  let fundCents = 0;
+
+  expenses.forEach(expense => {
+    const cents = toCents(expense.amount);
+    const category = expense.category || UNCATEGORIZED;
+    totalCents += cents;
+
+    addTo(byCategory, category, cents);
+    expense.tags.forEach(tag => addTo(byTag, tag, cents));
+
+    const month = addTo(byMonth, expense.date.slice(0, 7), cents, { categories: new Map() });
+    addTo(month.categories, category, cents);
+
+    expense.participants.forEach(participant => {
+      const member = addTo(byMember, participant.user_id, toCents(participant.amount_owed), {
+        name: participant.name,
+        paidCents: 0
+      });
+      member.name = member.name || participant.name;
+    });
+
+    if (expense.payers.length === 0) {
+      fundCents += cents;
+    }
+    expense.payers.forEach(payer => {
+      if (!byMember.has(payer.user_id)) {
+        byMember.set(payer.user_id, { name: payer.name, cents: 0, count: 0, paidCents: 0 });
+      }
+      byMember.get(payer.user_id).paidCents += toCents(payer.amount);
+    });
+  });
+
+  return {
+    total: fromCents(totalCents),
+    expense_count: expenses.length,
+    paid_from_fund: fromCents(fundCents),
+    by_category: ranked(byCategory, totalCents, 'category'),
+    by_tag: ranked(byTag, totalCents, 'tag'),
+    by_member: ranked(byMember, totalCents, 'user_id').map(({ paidCents, ...member }) => ({
+      ...member,
+      paid: fromCents(paidCents)
+    })),
+    by_month: [...byMonth.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, { cents, count, categories }]) => ({
+        month,
+        total: fromCents(cents),
+        count,
+        by_category: ranked(categories, cents, 'category')
+      }))
+  };
+}
+
+module.exports = { UNCATEGORIZED, buildExpenseReport };
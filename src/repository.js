@@ -0,0 +1,76 @@
+// repository.js
+// Promise-based access to a sqlite3 database. get, all and run resolve with
+// a row, the rows, or { lastID, changes } for run.
+//
+// Work that has to succeed or fail as a whole goes in withTransaction(fn). It
+// resolves with what fn resolves with, and if fn throws everything it did is
+// rolled back. Transactions run one at a time. Every query shares the same
+// connection, so other queries wait while a transaction is open; otherwise
+// they would become part of it. Queries made while fn runs belong to its
+// transaction, including those from functions it calls. A withTransaction
+// inside fn joins the transaction already open.
+const { AsyncLocalStorage } = require('async_hooks');
+
+function createRepository(db) {
+  const transaction = new AsyncLocalStorage();
+
+  // Settles once the transactions queued so far have finished
+  let queue = Promise.resolve();
+  // Queries outside a transaction that have not finished yet
+  const inFlight = new Set();
+
+  const execute = (method, sql, params) => new Promise((resolve, reject) => {
+    db[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+    });
+  });
+
+  const query = method => (sql, params = []) => {
+    if (transaction.getStore()) {
+      return execute(method, sql, params);
+    }
+
+    const result = queue.then(() => execute(method, sql, params));
+    const settled = result.then(() => {}, () => {});
+    inFlight.add(settled);
+    settled.then(() => inFlight.delete(settled));
+    return result;
+  };
+
+  function withTransaction(fn) {
+    if (transaction.getStore()) {
+      return fn();
+    }
+
+    // Queries already started finish before BEGIN, so they are not caught up in it
+    const earlier = [...inFlight];
+    const result = queue.then(async () => {
+      await Promise.all(earlier);
+      return transaction.run(true, async () => {
+        await execute('run', 'BEGIN IMMEDIATE TRANSACTION', []);
+        try {
+          const value = await fn();
+          await execute('run', 'COMMIT', []);
+          return value;
+        } catch (err) {
+          // SQLite may already have rolled back after some errors
+          await execute('run', 'ROLLBACK', []).catch(() => {});
+          throw err;
+        }
+      });
+    });
+
+    queue = result.then(() => {}, () => {});
+    return result;
+  }
+
+  return {
+    get: query('get'),
+    all: query('all'),
+    run: query('run'),
+    withTransaction
+  };
+}
+
+module.exports = { createRepository };
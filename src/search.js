@@ -0,0 +1,82 @@
+// search.js
+// Query parameters accepted when listing a team's expenses:
+//   q                     text in the description
+//   from, to              expense dates, inclusive, as YYYY-MM-DD
+//   minAmount, maxAmount  the amount as entered, in the expense's currency
+//   participant           user id of someone sharing the expense
+//   payer                 user id of someone who paid, or "fund"
+//   category, tag         a category or tag name
+//   sort, order           see EXPENSE_SORTS; order is asc or desc
+//   limit, offset         page size (at most MAX_PAGE_SIZE) and start
+const { checkDateRange } = require('./dates');
+
+const EXPENSE_SORTS = ['date', 'amount', 'description', 'created'];
+const FUND_PAYER = 'fund';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+function parseAmount(value, name) {
+  if (text(value) === '') return null;
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${name} must be a number of zero or more`);
+  }
+  return amount;
+}
+
+function parseWholeNumber(value, name, fallback, min, max = Infinity) {
+  if (text(value) === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(max === Infinity
+      ? `${name} must be a whole number of ${min} or more`
+      : `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Check the query string of an expense list request and fill in defaults
+function parseExpenseQuery(query = {}) {
+  const from = text(query.from) || null;
+  const to = text(query.to) || null;
+  checkDateRange(from, to);
+
+  const minAmount = parseAmount(query.minAmount, 'minAmount');
+  const maxAmount = parseAmount(query.maxAmount, 'maxAmount');
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new Error('minAmount must not be more than maxAmount');
+  }
+
+  const sort = text(query.sort) || 'date';
+  if (!EXPENSE_SORTS.includes(sort)) {
+    throw new Error(`Invalid sort. Use one of: ${EXPENSE_SORTS.join(', ')}`);
+  }
+
+  // Descriptions read naturally A to Z, everything else newest or largest first
+  const order = (text(query.order) || (sort === 'description' ? 'asc' : 'desc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('Invalid order. Use asc or desc');
+  }
+
+  return {
+    q: text(query.q).slice(0, 200) || null,
+    from,
+    to,
+    minAmount,
+    maxAmount,
+    participant: text(query.participant) || null,
+    payer: text(query.payer) || null,
+    category: text(query.category).toLowerCase() || null,
+    tag: text(query.tag).toLowerCase() || null,
+    sort,
+    order,
+    limit: parseWholeNumber(query.limit, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE),
+    offset: parseWholeNumber(query.offset, 'offset', 0, 0)
+  };
+}
+
+module.exports = { EXPENSE_SORTS, FUND_PAYER, MAX_PAGE_SIZE, parseExpenseQuery };
@@ -0,0 +1,75 @@
+// splits.js
+const { toCents, fromCents, splitEvenly, allocate } = require('./money');
+
+const SPLIT_MODES = ['equal', 'exact', 'percentage', 'shares'];
+
+// Work out how much each member owes for an expense. Splits are either plain
+// member ids or { userId, value } entries, where value is an amount, a
+// percentage or a number of shares depending on the split mode.
+function calculateSplit(splitMode, amount, splits) {
+  if (!SPLIT_MODES.includes(splitMode)) {
+    throw new Error(`Invalid split mode. Use one of: ${SPLIT_MODES.join(', ')}`);
+  }
+  // Less than a cent rounds to 0, and anything that is not a number to NaN
+  const totalCents = toCents(amount);
+  if (!(totalCents > 0)) {
+    throw new Error(`Amount "${amount}" is not a positive number`);
+  }
+  if (!Array.isArray(splits) || splits.length === 0) {
+    throw new Error('At least one member must be part of the expense');
+  }
+
+  const entries = splits.map(split =>
+    typeof split === 'object' && split !== null
+      ? { userId: split.userId, value: split.value }
+      : { userId: split, value: undefined }
+  );
+
+  const seen = new Set();
+  entries.forEach(entry => {
+    if (!entry.userId) {
+      throw new Error('Each split needs a userId');
+    }
+    if (seen.has(entry.userId)) {
+      throw new Error('A member can only appear once in a split');
+    }
+    seen.add(entry.userId);
+  });
+
+  let owed;
+
+  if (splitMode === 'equal') {
+    owed = splitEvenly(totalCents, entries.length);
+  } else {
+    const values = entries.map(entry => Number(entry.value));
+    if (values.some(value => !Number.isFinite(value) || value < 0)) {
+      throw new Error(`Each split needs a ${splitMode === 'exact' ? 'amount' : splitMode} of 0 or more`);
+    }
+
+    if (splitMode === 'exact') {
+      owed = values.map(toCents);
+      if (owed.reduce((sum, cents) => sum + cents, 0) !== totalCents) {
+        throw new Error('Split amounts must add up to the expense amount');
+      }
+    } else if (splitMode === 'percentage') {
+      const totalPercent = values.reduce((sum, value) => sum + value, 0);
+      if (Math.abs(totalPercent - 100) > 0.0001) {
+        throw new Error('Split percentages must add up to 100');
+      }
+      owed = allocate(totalCents, values);
+    } else {
+      if (values.every(value => value === 0)) {
+        throw new Error('At least one member needs a share greater than 0');
+      }
+      owed = allocate(totalCents, values);
+    }
+  }
+
+  return entries.map((entry, i) => ({
+    userId: entry.userId,
+    value: splitMode === 'equal' ? null : Number(entry.value),
+    amountOwed: fromCents(owed[i])
+  }));
+}
+
+module.exports = { SPLIT_MODES, calculateSplit };
@@ -0,0 +1,50 @@
+// storage.js
+// Where the app keeps its data, set in the environment:
+//   DATABASE_URL    a postgres:// URL to keep it in Postgres
+//   DATABASE_PATH   otherwise, the SQLite file to use; src/database.sqlite by
+//                   default. :memory: keeps everything in memory, for tests.
+//
+// Either way db.js gets the same interface:
+//   dialect              'sqlite' or 'postgres'
+//   get(sql, params)     resolves with the first row
+//   all(sql, params)     resolves with the rows
+//   run(sql, params)     resolves with { lastID, changes }
+//   withTransaction(fn)  runs fn in a transaction, as repository.js describes
+//   close()              resolves once the connection is closed
+// Queries use ? placeholders and SQL that both databases understand.
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { createRepository } = require('./repository');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'database.sqlite');
+const POSTGRES_URL = /^postgres(ql)?:\/\//;
+
+function createSqliteStorage(filename) {
+  const db = new sqlite3.Database(filename);
+  return {
+    dialect: 'sqlite',
+    // The connection itself, for the baseline schema and migrate.js
+    db,
+    ...createRepository(db),
+    close: () => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())))
+  };
+}
+
+function createStorage({ DATABASE_URL: url, DATABASE_PATH: filename } = process.env) {
+  if (url) {
+    if (!POSTGRES_URL.test(url)) {
+      throw new Error('DATABASE_URL must be a postgres:// URL');
+    }
+    // Only needed, and only loaded, when running on Postgres
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage(url);
+  }
+  return createSqliteStorage(filename || DEFAULT_DATABASE_PATH);
+}
+
+// Whether err is a unique constraint failing, in either database
+function isUniqueViolation(err) {
+  return err.code === '23505' || err.message.includes('UNIQUE constraint failed');
+}
+
+module.exports = { createStorage, isUniqueViolation };
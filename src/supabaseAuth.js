@@ -0,0 +1,93 @@
+// supabaseAuth.js
+// Auth provider backed by Supabase Auth. Calls made on a user's behalf use a
+// client holding that user's session. For password resets, the recovery email
+// template has to link to the app's reset page with ?token={{ .TokenHash }}.
+const { createClient } = require('@supabase/supabase-js');
+
+function createSupabaseProvider() {
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+  );
+
+  // Supabase reports errors in the result rather than throwing them
+  const unwrap = ({ data, error }) => {
+    if (error) throw new Error(error.message);
+    return data;
+  };
+
+  async function clientFor(session) {
+    if (!session) {
+      throw new Error('Please log in again');
+    }
+
+    const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+    unwrap(await client.auth.setSession({
+      access_token: session.access_token,
+      refresh_token: session.refresh_token
+    }));
+    return client;
+  }
+
+  const sessionOf = session => (session
+    ? { access_token: session.access_token, refresh_token: session.refresh_token }
+    : null);
+
+  return {
+    async register({ email, password, name }) {
+      const data = unwrap(await supabase.auth.signUp({
+        email,
+        password,
+        options: {
+          data: {
+            name: name
+          }
+        }
+      }));
+      return { user: data.user, session: sessionOf(data.session) };
+    },
+
+    async login({ email, password }) {
+      const data = unwrap(await supabase.auth.signInWithPassword({
+        email,
+        password
+      }));
+      return { user: data.user, session: sessionOf(data.session) };
+    },
+
+    async logout(session) {
+      if (!session) return;
+      const client = await clientFor(session);
+      await client.auth.signOut({ scope: 'local' });
+    },
+
+    async requestPasswordReset(email, resetUrl) {
+      unwrap(await supabase.auth.resetPasswordForEmail(email, { redirectTo: resetUrl }));
+    },
+
+    async resetPassword(token, password) {
+      const data = unwrap(await supabase.auth.verifyOtp({ token_hash: token, type: 'recovery' }));
+      const client = await clientFor(data.session);
+      unwrap(await client.auth.updateUser({ password }));
+      await client.auth.signOut({ scope: 'local' });
+    },
+
+    // Supabase asks for the new address to be confirmed by email, so the
+    // returned user keeps the old one until then
+    async updateProfile(user, session, { name, email, password }) {
+      const client = await clientFor(session);
+      const changes = {};
+      if (name) changes.data = { name };
+      if (email && email !== user.email) changes.email = email;
+      if (password) changes.password = password;
+
+      const data = unwrap(await client.auth.updateUser(changes));
+      const { data: refreshed } = await client.auth.getSession();
+      return { user: data.user, session: sessionOf(refreshed.session) || session };
+    }
+  };
+}
+
+module.exports = { createSupabaseProvider };
@@ -0,0 +1,40 @@
+// trash.js
+// Deleted expenses and teams go to the trash, where they can be restored,
+// and are purged for good once they have been there longer than
+// TRASH_RETENTION_DAYS (30 by default).
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often the server looks for trash to purge
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Read when needed rather than at load, as .env is loaded after this module
+function retentionDays() {
+  const value = process.env.TRASH_RETENTION_DAYS;
+  if (value === undefined || value === '') return DEFAULT_RETENTION_DAYS;
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error('TRASH_RETENTION_DAYS must be a whole number of days');
+  }
+  return days;
+}
+
+// Timestamps as the database keeps them: YYYY-MM-DD HH:MM:SS in UTC
+const toTimestamp = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// When something deleted at deletedAt will be purged
+function purgeDate(deletedAt, days = retentionDays()) {
+  const date = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toTimestamp(date);
+}
+
+// Anything deleted at or before this is due to be purged
+function purgeCutoff(days = retentionDays()) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return toTimestamp(date);
+}
+
+module.exports = { PURGE_INTERVAL_MS, retentionDays, purgeDate, purgeCutoff };
@@ -0,0 +1,53 @@
+// Team routes only answer members of the team, and expense routes only
+// expenses of the team in the URL
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+
+// A team of the user's own with one expense, paid and shared by them alone
+async function teamWithExpense(user) {
+  const { body: team } = await user.request('POST', '/api/teams', { name: `${user.name}'s team` });
+  const { body: details } = await user.request('GET', `/api/teams/${team.id}/members`);
+  const userId = details.members[0].user_id;
+
+  const { body: expense } = await user.request('POST', `/api/teams/${team.id}/expenses`, {
+    description: 'Dinner', amount: 30, expenseDate: '2026-10-01', memberIds: [userId], paidBy: userId
+  });
+  assert.ok(team.id && expense.id, 'team and expense were created');
+  return { teamId: team.id, userId, expenseId: expense.id };
+}
+
+test('cross-team access', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await registerUser(server, 'alice');
+  const mallory = await registerUser(server, 'mallory');
+  const aliceTeam = await teamWithExpense(alice);
+  const malloryTeam = await teamWithExpense(mallory);
+
+  await t.test('non-members get 403 on team routes', async () => {
+    for (const route of ['members', 'expenses', 'contribution']) {
+      const { status } = await mallory.request('GET', `/api/teams/${aliceTeam.teamId}/${route}`);
+      assert.strictEqual(status, 403, route);
+    }
+  });
+
+  await t.test("an expense cannot be changed through another team's URL", async () => {
+    const url = `/api/teams/${malloryTeam.teamId}/expenses/${aliceTeam.expenseId}`;
+
+    const updated = await mallory.request('PUT', url, {
+      description: 'Changed', amount: 1, expenseDate: '2026-10-01', memberIds: [malloryTeam.userId]
+    });
+    assert.strictEqual(updated.status, 404);
+
+    const deleted = await mallory.request('DELETE', url);
+    assert.strictEqual(deleted.status, 404);
+
+    // Still there, and still for 30
+    const { status, body } = await alice.request('GET', `/api/teams/${aliceTeam.teamId}/expenses/summary`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.total_expenses, 1);
+    assert.strictEqual(body.total_amount, 30);
+  });
+});
@@ -0,0 +1,26 @@
+// Changes made through TeamManager show up in the team's activity log
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+
+test('a profile update is logged in every team of the user', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await registerUser(server, 'alice');
+  const teamIds = [];
+  for (const name of ['Flat', 'Club']) {
+    const { body } = await alice.request('POST', '/api/teams', { name });
+    teamIds.push(body.id);
+  }
+
+  const profile = await alice.request('POST', '/auth/profile', { name: 'Alicia' });
+  assert.match(profile.body, /Your profile has been updated/);
+
+  for (const teamId of teamIds) {
+    const { body } = await alice.request('GET', `/api/teams/${teamId}/activity`);
+    const entry = body.entries.find(candidate => candidate.action === 'member.profile_updated');
+    assert.ok(entry, `logged in ${teamId}`);
+    assert.deepStrictEqual(entry.changes, { name: { from: 'alice', to: 'Alicia' } });
+  }
+});
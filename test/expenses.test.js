@@ -0,0 +1,52 @@
+// Expense routes answer a bad amount or date with a 400 naming the field,
+// before anything reaches the database
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+
+test('expense validation', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const alice = await registerUser(server, 'alice');
+  const { body: team } = await alice.request('POST', '/api/teams', { name: 'Flat' });
+  const { body: details } = await alice.request('GET', `/api/teams/${team.id}/members`);
+  const userId = details.members[0].user_id;
+
+  const url = `/api/teams/${team.id}/expenses`;
+  const expense = fields => ({ description: 'Dinner', amount: 30, expenseDate: '2026-10-01', memberIds: [userId], ...fields });
+  const { body: created } = await alice.request('POST', url, expense());
+  assert.ok(created.id, 'expense was created');
+
+  const cases = [
+    [{ amount: 'thirty' }, 'Amount must be a number'],
+    [{ amount: -50 }, 'Amount "-50" is not a positive number'],
+    [{ amount: 0.001 }, 'Amount "0.001" is not a positive number'],
+    [{ expenseDate: 'garbage' }, 'Expense date must be a valid YYYY-MM-DD date'],
+    [{ expenseDate: '2026-02-30' }, 'Expense date must be a valid YYYY-MM-DD date']
+  ];
+
+  for (const [method, path] of [['POST', url], ['PUT', `${url}/${created.id}`]]) {
+    await t.test(`${method} rejects a bad amount or date`, async () => {
+      for (const [fields, error] of cases) {
+        const { status, body } = await alice.request(method, path, expense(fields));
+        assert.strictEqual(status, 400, JSON.stringify(fields));
+        assert.deepStrictEqual(body, { error });
+      }
+    });
+  }
+
+  await t.test('keeps amounts in whole cents', async () => {
+    const { body: { id } } = await alice.request('POST', url, expense({ amount: 10.005 }));
+    const { body } = await alice.request('GET', `${url}/${id}`);
+    assert.strictEqual(body.amount, 10.01);
+    assert.deepStrictEqual(body.participants.map(participant => participant.amount_owed), [10.01]);
+  });
+
+  await t.test('gives the first and last expense dates as YYYY-MM-DD', async () => {
+    await alice.request('POST', url, expense({ expenseDate: '2026-09-15' }));
+    const { body } = await alice.request('GET', `${url}/summary`);
+    assert.strictEqual(body.first_expense_date, '2026-09-15');
+    assert.strictEqual(body.last_expense_date, '2026-10-01');
+  });
+});
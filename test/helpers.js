@@ -0,0 +1,91 @@
+// helpers.js
+// Runs the app as a child process on a free port, with local accounts and an
+// in-memory SQLite database, and talks to it as logged in users.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server is taking requests, with its URL, output() for
+// what it has logged so far, and stop()
+async function startServer(env = {}) {
+  const port = await freePort();
+  const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+  const child = spawn(process.execPath, ['src/index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SESSION_SECRET: 'test',
+      AUTH_PROVIDER: 'local',
+      DATABASE_URL: '',
+      DATABASE_PATH: ':memory:',
+      RECEIPTS_DIR: receiptsDir,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) resolve();
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    output: () => output,
+    stop() {
+      child.kill();
+      fs.rmSync(receiptsDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Register an account and keep its session cookie. request() resolves with
+// the status and the body, parsed if it is JSON.
+async function registerUser(server, name) {
+  const response = await fetch(`${server.url}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ name, email: `${name}@example.com`, password: 'password123' }),
+    redirect: 'manual'
+  });
+  if (response.status !== 302) {
+    throw new Error(`Could not register ${name}: ${response.status}`);
+  }
+  const cookie = response.headers.getSetCookie().map(header => header.split(';')[0]).join('; ');
+
+  async function request(method, url, body) {
+    const res = await fetch(`${server.url}${url}`, {
+      method,
+      headers: { Cookie: cookie, ...(body && { 'Content-Type': 'application/json' }) },
+      body: body && JSON.stringify(body)
+    });
+    const isJSON = res.headers.get('content-type')?.includes('application/json');
+    return { status: res.status, body: isJSON ? await res.json() : await res.text() };
+  }
+
+  return { name, request };
+}
+
+module.exports = { startServer, registerUser };
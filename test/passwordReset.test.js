@@ -0,0 +1,36 @@
+// Local accounts only get reset links when the server is set up to send them
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+
+const postForm = (server, url, fields) => fetch(`${server.url}${url}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(fields),
+  redirect: 'manual'
+});
+
+test('password resets are refused unless reset links are logged on purpose', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  await registerUser(server, 'alice');
+
+  const response = await postForm(server, '/auth/forgot-password', { email: 'alice@example.com' });
+  assert.match(await response.text(), /Password resets are not set up on this server/);
+  assert.doesNotMatch(server.output(), /reset-password\?token=/);
+});
+
+test('with LOG_RESET_LINKS=true the logged link resets the password', async t => {
+  const server = await startServer({ LOG_RESET_LINKS: 'true' });
+  t.after(() => server.stop());
+  await registerUser(server, 'alice');
+
+  await postForm(server, '/auth/forgot-password', { email: 'alice@example.com' });
+  const [, token] = server.output().match(/reset-password\?token=(\w+)/);
+
+  const reset = await postForm(server, '/auth/reset-password', { token, password: 'new-password' });
+  assert.match(await reset.text(), /Your password has been changed/);
+
+  const login = await postForm(server, '/auth/login', { email: 'alice@example.com', password: 'new-password' });
+  assert.strictEqual(login.status, 302);
+});
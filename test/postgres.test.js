@@ -0,0 +1,139 @@
+// TeamManager on Postgres, through the adapter in postgres.js. Skipped unless
+// DATABASE_URL is set. The role in it must be able to create databases: the
+// tests run in a database of their own, dropped once they finish. The schema
+// needs Postgres 14 or later.
+//
+//   DATABASE_URL=postgres://postgres@localhost:5432/postgres npm test
+
+// West of UTC, so dates that depend on the local time zone show up as wrong
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const adminUrl = process.env.DATABASE_URL;
+
+test('TeamManager on Postgres', { skip: !adminUrl && 'DATABASE_URL is not set' }, async t => {
+  const { Client } = require('pg');
+  const admin = new Client({ connectionString: adminUrl });
+  await admin.connect();
+
+  const database = `team_test_${process.pid}_${Date.now()}`;
+  await admin.query(`CREATE DATABASE ${database}`);
+  const url = new URL(adminUrl);
+  url.pathname = `/${database}`;
+  process.env.DATABASE_URL = url.toString();
+
+  const { storage, prepareDatabase, TeamManager, UserManager } = require('../src/db');
+  t.after(async () => {
+    await storage.close();
+    await admin.query(`DROP DATABASE ${database}`);
+    await admin.end();
+  });
+
+  const alice = { id: 'u-alice', profile: { name: 'Alice', email: 'alice@example.com' } };
+  const bob = { id: 'u-bob', profile: { name: 'Bob', email: 'bob@example.com' } };
+  let teamId;
+  let expenseId;
+
+  await t.test('creates the schema, and again without changes', async () => {
+    await prepareDatabase();
+    await prepareDatabase();
+    assert.strictEqual(storage.dialect, 'postgres');
+  });
+
+  await t.test('creates a team and lets a member join through an invite', async () => {
+    teamId = await TeamManager.createTeam('Flat', alice.id, alice.profile);
+    await assert.rejects(TeamManager.createTeam('Flat', bob.id, bob.profile));
+
+    const invite = await TeamManager.generateInviteLink(teamId, alice.id);
+    assert.deepStrictEqual(await TeamManager.joinTeamWithInvite(invite.token, bob.id, bob.profile), { teamId, pending: false });
+
+    const details = await TeamManager.getTeamDetails(teamId);
+    assert.deepStrictEqual(details.members.map(member => member.user_id).sort(), [alice.id, bob.id]);
+  });
+
+  await t.test('records an expense on the day it was given', async () => {
+    expenseId = await TeamManager.createExpense(
+      teamId, 'Dinner', 30, new Date('2026-10-01'), [alice.id, bob.id],
+      [{ userId: alice.id, amount: 30 }], 'equal', null, { tags: ['food'] }, alice.id
+    );
+
+    const expense = await TeamManager.getExpense(teamId, expenseId);
+    assert.strictEqual(expense.expense_date, '2026-10-01');
+    assert.strictEqual(expense.amount, 30);
+    assert.deepStrictEqual(expense.participants.map(participant => [participant.name, participant.amount_owed]), [['Alice', 15], ['Bob', 15]]);
+    assert.deepStrictEqual(expense.tags, ['food']);
+
+    await assert.rejects(
+      TeamManager.createExpense(teamId, 'Taxi', 10, new Date('2026-10-02'), [alice.id, 'u-nobody'], [], 'equal', null, {}, alice.id),
+      /Not a member of this team: u-nobody/
+    );
+  });
+
+  await t.test('searches, filters and sorts expenses', async () => {
+    await TeamManager.createExpense(teamId, 'apples', 4, new Date('2026-10-03'), [bob.id], [], 'equal', null, {}, bob.id);
+
+    const found = await TeamManager.getTeamExpenses(teamId, { q: 'DINN', from: '2026-10-01', to: '2026-10-01' });
+    assert.deepStrictEqual(found.expenses.map(expense => expense.id), [expenseId]);
+
+    const sorted = await TeamManager.getTeamExpenses(teamId, { sort: 'description', order: 'asc' });
+    assert.deepStrictEqual(sorted.expenses.map(expense => expense.description), ['apples', 'Dinner']);
+
+    const summary = await TeamManager.getTeamExpensesSummary(teamId);
+    assert.deepStrictEqual([summary.first_expense_date, summary.last_expense_date], ['2026-10-01', '2026-10-03']);
+  });
+
+  await t.test('updates an expense and keeps balances in step', async () => {
+    await TeamManager.updateExpense(
+      teamId, expenseId, 'Dinner', 40, new Date('2026-10-01'), [alice.id, bob.id],
+      [{ userId: alice.id, amount: 40 }], 'equal', null, {}, alice.id
+    );
+
+    const balances = await TeamManager.getTeamBalances(teamId);
+    const net = Object.fromEntries(balances.members.map(member => [member.user_id, member.net]));
+    assert.deepStrictEqual(net, { [alice.id]: 20, [bob.id]: -24 });
+  });
+
+  await t.test('collects contributions', async () => {
+    await TeamManager.setContributionAmount(teamId, alice.id, 25, { frequency: 'once', startDate: '2026-01-01' });
+    await TeamManager.recordContributionPayment(teamId, bob.id, 10, alice.id);
+
+    const details = await TeamManager.getTeamContributionDetails(teamId);
+    assert.strictEqual(details.schedule.start_date, '2026-01-01');
+    assert.strictEqual(details.collected_amount, 10);
+  });
+
+  await t.test('moves expenses to the trash and back', async () => {
+    await TeamManager.deleteExpense(teamId, expenseId, alice.id);
+    const trash = await TeamManager.getTeamTrash(teamId);
+    assert.deepStrictEqual(trash.expenses.map(expense => expense.id), [expenseId]);
+    assert.match(trash.expenses[0].purge_at, /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+
+    await TeamManager.restoreExpense(teamId, expenseId, alice.id);
+    assert.strictEqual((await TeamManager.getTeamTrash(teamId)).expenses.length, 0);
+  });
+
+  await t.test('keeps an activity log that cannot be changed', async () => {
+    const { entries } = await TeamManager.getTeamActivity(teamId);
+    assert.ok(entries.some(entry => entry.action === 'expense.updated'));
+    await assert.rejects(storage.run('DELETE FROM activity_log'), /The activity log cannot be changed/);
+  });
+
+  await t.test('runs concurrent transactions one at a time', async () => {
+    const ids = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+      TeamManager.createExpense(teamId, `Round ${i}`, 2, new Date('2026-10-05'), [alice.id, bob.id], [], 'equal', null, {}, bob.id)));
+    assert.strictEqual(new Set(ids).size, 10);
+
+    const { total } = await TeamManager.getTeamExpenses(teamId, { from: '2026-10-05' });
+    assert.strictEqual(total, 10);
+  });
+
+  await t.test('reports duplicate accounts', async () => {
+    await UserManager.createUser({ email: 'carol@example.com', name: 'Carol', passwordHash: 'x' });
+    await assert.rejects(
+      UserManager.createUser({ email: 'carol@example.com', name: 'Carol', passwordHash: 'x' }),
+      /User already registered/
+    );
+  });
+});
@@ -0,0 +1,43 @@
+// splits.test.js
+// How expense amounts are split between members, in whole cents.
+const test = require('node:test');
+const assert = require('node:assert');
+const { allocate, toCents } = require('../src/money');
+const { calculateSplit } = require('../src/splits');
+
+const owed = shares => shares.map(share => share.amountOwed);
+
+test('rejects amounts that are not a positive number of cents', () => {
+  for (const amount of [-50, 0, 0.001, 0.004, NaN, 'ten', undefined]) {
+    assert.throws(() => calculateSplit('equal', amount, ['a', 'b']), /is not a positive number/, String(amount));
+  }
+});
+
+test('splits an amount with a part of a cent as the amount rounded to cents', () => {
+  assert.deepStrictEqual(owed(calculateSplit('equal', 10.005, ['a'])), [10.01]);
+  assert.deepStrictEqual(owed(calculateSplit('equal', 0.005, ['a', 'b'])), [0.01, 0]);
+});
+
+test('hands the odd cents of an even split to the first members', () => {
+  const shares = calculateSplit('equal', 10, ['a', 'b', 'c']);
+  assert.deepStrictEqual(owed(shares), [3.34, 3.33, 3.33]);
+});
+
+test('makes percentage and share splits add up to the total', () => {
+  const percentage = calculateSplit('percentage', 0.05, [
+    { userId: 'a', value: 33.3 }, { userId: 'b', value: 33.3 }, { userId: 'c', value: 33.4 }
+  ]);
+  assert.deepStrictEqual(owed(percentage), [0.02, 0.01, 0.02]);
+
+  const shares = calculateSplit('shares', 100.01, [{ userId: 'a', value: 1 }, { userId: 'b', value: 2 }]);
+  assert.deepStrictEqual(owed(shares), [33.34, 66.67]);
+});
+
+test('allocates every cent of a total', () => {
+  for (const [total, weights] of [[1, [1, 1, 1]], [2, [1, 1, 1]], [1001, [1, 2, 3, 4]], [7, [0, 5, 0, 5]]]) {
+    const parts = allocate(total, weights);
+    assert.ok(parts.every(Number.isInteger), `${total} over ${weights}`);
+    assert.strictEqual(parts.reduce((sum, part) => sum + part, 0), total, `${total} over ${weights}`);
+  }
+  assert.deepStrictEqual(allocate(toCents(0.01), [1, 1]), [1, 0]);
+});